@@ -6,6 +6,7 @@ const fs = require("fs");
 const path = require("path");
 const { glob } = require("glob");
 const logger = require("./utils/logger");
+const { parseArguments } = require("./utils/arguments");
 const commandFile = path.join(__dirname, "./scripts");
 
 const commandFiles = glob.sync([`${commandFile}/**/*.js`]);
@@ -65,29 +66,6 @@ function logAvailableCommands() {
   logger.table(allCommands);
 }
 
-/**
- * Parses command-line arguments into a script signature and options object.
- *
- * @param {string[]} argv - The array of command-line arguments.
- * @returns {Object} An object containing the script signature and options.
- * @returns {string} return.scriptSignature - The script signature (usually the command to run).
- * @returns {Object} return.options - An object containing key-value pairs of options.
- */
-function parseArguments(argv) {
-  const scriptSignature = argv[2];
-  const args = argv.slice(3);
-  const options = {};
-
-  args.forEach((arg) => {
-    if (arg.startsWith("--")) {
-      const [key, value] = arg.slice(2).split("=", 2);
-      options[key] = value === undefined ? true : value;
-    }
-  });
-
-  return { scriptSignature, options };
-}
-
 /**
  * Executes a command script located at the given path with the specified options.
  *
@@ -113,13 +91,12 @@ async function runCommand(commandPath, options) {
 }
 
 /**
- * Parses the command line arguments and extracts the script signature and options.
+ * Parses the command line arguments and runs the script they name, or lists
+ * the available commands when none is given.
  *
- * @param {string[]} process.argv - The array of command line arguments passed to the script.
- * @returns {{ scriptSignature: string, options: object }} An object containing the script signature and options.
+ * @returns {Promise<void>} - A promise that resolves when the command execution is complete.
  */
-
-(async () => {
+async function main() {
   if (!fs.existsSync("./export")) {
     fs.mkdirSync("./export");
   }
@@ -135,4 +112,6 @@ async function runCommand(commandPath, options) {
   } else {
     logAvailableCommands();
   }
-})();
+}
+
+if (require.main === module) main();
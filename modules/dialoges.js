@@ -1,7 +1,6 @@
 const ejs = require('ejs');
 const fs = require("fs");
 const path = require('path');
-const { updateLastSelection } = require("../utils/file-helper");
 const { logMessage, getDialogType, circularStringify } = require("../utils/helper");
 const { numberInput, textInput, booleanInput } = require('../utils/input-helper');
 
@@ -64,11 +63,6 @@ const userDialogSelection = async (dialogs) => {
         const channelId = selectedChannel.id;
         logMessage.info(`Selected channel: ${selectedChannel.name}`);
 
-        updateLastSelection({
-            channelId: channelId,
-            messageOffsetId: 0
-        });
-
         return channelId;
     } catch (error) {
         logMessage.error(`Failed to select dialog: ${error.message}`);
@@ -146,9 +140,52 @@ const getDialogName = async (client, channelId) => {
     }
 };
 
+/**
+ * Reads the dialog list exported by getAllDialogs, without connecting to Telegram.
+ * @returns {Array} - The exported dialogs, empty if no list was exported yet.
+ */
+const getExportedDialogs = () => {
+    const diaLogPath = path.resolve(process.cwd(), "./export/dialog_list.json");
+    if (!fs.existsSync(diaLogPath)) return [];
+
+    try {
+        return JSON.parse(fs.readFileSync(diaLogPath, "utf8"));
+    } catch (error) {
+        logMessage.error(`Failed to read dialog list: ${error.message}`);
+        return [];
+    }
+};
+
+/**
+ * Reads the names of all dialogs from the exported dialog list.
+ * @returns {Object} - A map of dialog ID to dialog name.
+ */
+const getExportedDialogNames = () =>
+    Object.fromEntries(getExportedDialogs().map(d => [String(d.id), d.name]));
+
+/**
+ * Looks up the username and title of a dialog, e.g. for media path templates,
+ * and whether it has content protection.
+ * @param {Object} client - The Telegram client.
+ * @param {number} channelId - The dialog ID.
+ * @returns {Promise<Object>} - The dialog as { id, username, title, noforwards }.
+ */
+const getChannelInfo = async (client, channelId) => {
+    const entity = await client.getEntity(channelId);
+    return {
+        id: channelId,
+        username: entity.username,
+        title: entity.title || [entity.firstName, entity.lastName].filter(Boolean).join(" "),
+        noforwards: Boolean(entity.noforwards),
+    };
+};
+
 module.exports = {
     getAllDialogs,
     selectDialog,
     searchDialog,
-    getDialogName
+    getDialogName,
+    getChannelInfo,
+    getExportedDialogs,
+    getExportedDialogNames
 };
\ No newline at end of file
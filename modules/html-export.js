@@ -0,0 +1,219 @@
+const ejs = require("ejs");
+const fs = require("fs");
+const path = require("path");
+const { loadMessages } = require("../utils/message-log");
+const { getMarkedPeerId } = require("../utils/message-record");
+const { splitByEntities, getEntityText } = require("../utils/entities");
+const { getExportedDialogNames } = require("./dialoges");
+const { MEDIA_TYPES } = require("../utils/helper");
+
+const MESSAGES_PER_PAGE = 200;
+const SAFE_URL = /^(https?:|tg:|mailto:|tel:)/i;
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const safeHref = (url) => (SAFE_URL.test(url) ? escapeHtml(url) : "#");
+
+/**
+ * Returns the opening and closing tags rendering an entity.
+ * @param {Object} entity - The entity, as stored in message records.
+ * @param {string} text - The full message text.
+ * @returns {string[]} The opening and closing tag, empty for unformatted entities.
+ */
+const getEntityTags = (entity, text) => {
+  const entityText = getEntityText(text, entity);
+
+  switch (entity.type) {
+    case "bold":
+      return ["<strong>", "</strong>"];
+    case "italic":
+      return ["<em>", "</em>"];
+    case "underline":
+      return ["<u>", "</u>"];
+    case "strike":
+      return ["<s>", "</s>"];
+    case "code":
+      return ["<code>", "</code>"];
+    case "pre":
+      return [`<pre><code class="language-${escapeHtml(entity.language || "")}">`, "</code></pre>"];
+    case "blockquote":
+      return ["<blockquote>", "</blockquote>"];
+    case "spoiler":
+      return ['<span class="spoiler" tabindex="0">', "</span>"];
+    case "textUrl":
+      return [`<a href="${safeHref(entity.url)}" target="_blank" rel="noopener">`, "</a>"];
+    case "url": {
+      const url = /^[a-z]+:/i.test(entityText) ? entityText : `https://${entityText}`;
+      return [`<a href="${safeHref(url)}" target="_blank" rel="noopener">`, "</a>"];
+    }
+    case "email":
+      return [`<a href="mailto:${escapeHtml(entityText)}">`, "</a>"];
+    case "phone":
+      return [`<a href="tel:${escapeHtml(entityText)}">`, "</a>"];
+    case "mention":
+      return [`<a href="https://t.me/${escapeHtml(entityText.slice(1))}" target="_blank" rel="noopener">`, "</a>"];
+    case "hashtag":
+    case "cashtag":
+    case "botCommand":
+    case "mentionName":
+      return [`<span class="${entity.type}">`, "</span>"];
+    default:
+      return ["", ""];
+  }
+};
+
+/**
+ * Renders a message text with its formatting entities as HTML.
+ * @param {string} text - The message text.
+ * @param {Array<Object>} entities - The entities, as stored in message records.
+ * @returns {string} The HTML.
+ */
+const renderText = (text, entities = []) =>
+  splitByEntities(text, entities)
+    .map((segment) => {
+      const content = escapeHtml(segment.text).replace(/\n/g, "<br>");
+      return segment.entities.reduceRight((html, entity) => {
+        const [open, close] = getEntityTags(entity, text);
+        return `${open}${html}${close}`;
+      }, content);
+    })
+    .join("");
+
+// Media without a file of its own, shown as a label
+const MEDIA_LABELS = {
+  [MEDIA_TYPES.WEBPAGE]: "🔗 Link preview",
+  [MEDIA_TYPES.POLL]: "📊 Poll",
+  [MEDIA_TYPES.GEO]: "📍 Location",
+  [MEDIA_TYPES.VENUE]: "🏢 Venue",
+  [MEDIA_TYPES.CONTACT]: "👤 Contact",
+};
+
+// Pick how a media file is shown: label, inline image, player or download link
+const getMediaKind = (record) => {
+  const mimeType = record.media?.mimeType || "";
+  if (MEDIA_LABELS[record.mediaType]) return "label";
+  if (record.mediaType === MEDIA_TYPES.IMAGE) return "image";
+  if (record.mediaType === MEDIA_TYPES.STICKER && mimeType !== "application/x-tgsticker") return "image";
+  if (record.mediaType === MEDIA_TYPES.VIDEO) return "video";
+  if (record.mediaType === MEDIA_TYPES.AUDIO) return "audio";
+  return "file";
+};
+
+// Build the media entry of a record, with a path relative to the channel folder
+const getMediaView = (record, outputFolder) => {
+  if (!record.hasMedia) return null;
+
+  const file = record.media?.file ||
+    (record.mediaPath ? path.relative(outputFolder, record.mediaPath) : null);
+  const available = Boolean(file) && fs.existsSync(path.join(outputFolder, file));
+
+  return {
+    kind: getMediaKind(record),
+    type: record.mediaType,
+    href: available ? file.split(path.sep).map(encodeURIComponent).join("/") : null,
+    name: MEDIA_LABELS[record.mediaType] ||
+      record.media?.originalName || record.mediaName || record.mediaType,
+  };
+};
+
+/**
+ * Merges the messages of an album into one entry. The caption is taken from
+ * whichever album member has text.
+ * @param {Array<Object>} records - Message records sorted by ID.
+ * @returns {Array<Array<Object>>} Groups of records, one per displayed message.
+ */
+const groupAlbums = (records) => {
+  const groups = [];
+  records.forEach((record) => {
+    const previous = groups[groups.length - 1];
+    if (record.groupedId && previous?.[0].groupedId === record.groupedId) {
+      previous.push(record);
+    } else {
+      groups.push([record]);
+    }
+  });
+  return groups;
+};
+
+const getPageFileName = (pageIndex) =>
+  pageIndex === 0 ? "messages.html" : `messages${pageIndex + 1}.html`;
+
+/**
+ * Renders the recorded messages of a channel as a paginated static HTML
+ * archive (messages.html, messages2.html, ...) in the channel export folder.
+ * Media is linked relative to the folder, so the archive can be browsed offline.
+ * @param {string} outputFolder - The channel export folder.
+ * @param {string} channelId - The channel ID, used to look up the channel name.
+ * @returns {Promise<number>} The number of pages written.
+ */
+const exportHtmlArchive = async (outputFolder, channelId) => {
+  const records = loadMessages(outputFolder);
+  const dialogNames = getExportedDialogNames();
+  const title = dialogNames[String(channelId)] || String(channelId);
+  const groups = groupAlbums(records);
+
+  const pageCount = Math.max(1, Math.ceil(groups.length / MESSAGES_PER_PAGE));
+  const pageOfMessage = new Map();
+  groups.forEach((group, index) => {
+    group.forEach((record) =>
+      pageOfMessage.set(record.id, Math.floor(index / MESSAGES_PER_PAGE))
+    );
+  });
+  const recordsById = new Map(records.map((record) => [record.id, record]));
+
+  const toView = (group) => {
+    const first = group[0];
+    const captioned = group.find((record) => record.message) || first;
+    const replied = first.replyTo && recordsById.get(first.replyTo.messageId);
+    const forwardFrom = first.forward &&
+      (first.forward.fromName ||
+        dialogNames[getMarkedPeerId(first.forward.from)] ||
+        getMarkedPeerId(first.forward.from) ||
+        "unknown");
+
+    return {
+      id: first.id,
+      date: new Date(first.date * 1000).toLocaleString(),
+      edited: Boolean(first.editDate),
+      author: first.postAuthor,
+      views: first.views,
+      forwardFrom,
+      replyTo: first.replyTo && {
+        id: first.replyTo.messageId,
+        href: pageOfMessage.has(first.replyTo.messageId)
+          ? `${getPageFileName(pageOfMessage.get(first.replyTo.messageId))}#message${first.replyTo.messageId}`
+          : null,
+        snippet: replied ? (replied.message || replied.mediaType || "").slice(0, 80) : "",
+      },
+      html: renderText(captioned.message || "", captioned.entities),
+      media: group.map((record) => getMediaView(record, outputFolder)).filter(Boolean),
+    };
+  };
+
+  const templateFile = path.resolve(__dirname, "../templates/messages.ejs");
+  for (let page = 0; page < pageCount; page++) {
+    const pageGroups = groups.slice(page * MESSAGES_PER_PAGE, (page + 1) * MESSAGES_PER_PAGE);
+    const html = await ejs.renderFile(templateFile, {
+      title,
+      page: page + 1,
+      pageCount,
+      previousPage: page > 0 ? getPageFileName(page - 1) : null,
+      nextPage: page < pageCount - 1 ? getPageFileName(page + 1) : null,
+      messages: pageGroups.map(toView),
+    });
+    fs.writeFileSync(path.join(outputFolder, getPageFileName(page)), html);
+  }
+
+  return pageCount;
+};
+
+module.exports = {
+  renderText,
+  exportHtmlArchive,
+};
@@ -1,15 +1,103 @@
 const fs = require("fs");
 const path = require("path");
+const mimeDB = require("mime-db");
+const bigInt = require("big-integer");
 const logger = require("../utils/logger");
-const { circularStringify } = require("../utils/helper");
+const { Api, utils } = require("telegram");
+const { CustomFile } = require("telegram/client/uploads");
+const { circularStringify, getPhotoSize, wait, MEDIA_TYPES } = require("../utils/helper");
+const { rewriteCaption, shiftEntities } = require("../utils/caption-rules");
 
-const getMessages = async (client, channelId, limit = 10, offsetId = 0) => {
+// Files are downloaded to "<mediaPath>.<messageId>.part" and renamed once complete
+const PART_SUFFIX = ".part";
+const DOWNLOAD_REQUEST_SIZE = 1024 * 1024;
+const DOWNLOAD_ATTEMPTS = 3;
+
+// How uploads copy media to the target: forward the source message, send the
+// source file again by reference, or upload the downloaded file
+const TRANSFER_STRATEGIES = ["forward", "copy-by-reference", "reupload"];
+
+// Media type selections Telegram can search for server-side, each as one InputMessagesFilter.
+// Images, videos and audio have no entry: the Photos, Video, PhotoVideo and Music filters
+// leave out the ones sent as files, which getMediaType still counts as such
+const SEARCH_FILTERS = [
+  { types: [MEDIA_TYPES.DOCUMENT], filter: Api.InputMessagesFilterDocument },
+  { types: ["voice"], filter: Api.InputMessagesFilterVoice },
+  { types: [MEDIA_TYPES.WEBPAGE], filter: Api.InputMessagesFilterUrl },
+];
+
+/**
+ * Find the InputMessagesFilter returning exactly the selected media types
+ * @param {string[]} types Selected media types and file extensions
+ * @returns {Object|null} The filter, or null if the selection needs the full history
+ */
+const getSearchFilter = (types = []) => {
+  const unsearchable = ["all", MEDIA_TYPES.POLL, MEDIA_TYPES.GEO, MEDIA_TYPES.VENUE,
+    MEDIA_TYPES.CONTACT, MEDIA_TYPES.STICKER];
+  if (!types.length || types.some((type) => unsearchable.includes(type))) return null;
+
+  const mediaTypes = [MEDIA_TYPES.IMAGE, MEDIA_TYPES.VIDEO, MEDIA_TYPES.AUDIO, MEDIA_TYPES.WEBPAGE, "voice"];
+  const selected = [...new Set(types.map((type) => {
+    if (mediaTypes.includes(type) || type === MEDIA_TYPES.DOCUMENT) return type;
+    // An extension: "mp4" is searched as video, "pdf" as document
+    const mimeType = Object.keys(mimeDB).find((mime) => mimeDB[mime].extensions?.includes(type));
+    const category = mimeType?.split("/")[0];
+    return mediaTypes.includes(category) ? category : MEDIA_TYPES.DOCUMENT;
+  }))].sort();
+
+  const match = SEARCH_FILTERS.find(
+    ({ types: filterTypes }) => filterTypes.slice().sort().join() === selected.join()
+  );
+  return match ? new match.filter() : null;
+};
+
+/**
+ * Fetch messages older than a given message ID, newest first
+ * @param {Object} client Telegram client
+ * @param {string|number} channelId Channel ID
+ * @param {number} limit Number of messages to fetch
+ * @param {number} offsetId Only messages with a lower ID are returned
+ * @param {Object} search Optional server-side search: `query` text and/or `filter` from getSearchFilter
+ */
+const getMessages = async (client, channelId, limit = 10, offsetId = 0, search = {}) => {
   if (!client || !channelId) {
     throw new Error("Client and channelId are required");
   }
 
   try {
-    const result = await client.getMessages(channelId, { limit, offsetId });
+    const result = await client.getMessages(channelId, {
+      limit,
+      offsetId,
+      search: search.query,
+      filter: search.filter,
+    });
+    return result;
+  } catch (error) {
+    throw new Error(`Failed to get messages: ${error.message}`);
+  }
+};
+
+/**
+ * Fetch messages newer than a given message ID, oldest first
+ * @param {Object} client Telegram client
+ * @param {string|number} channelId Channel ID
+ * @param {number} limit Number of messages to fetch
+ * @param {number} minId Only messages with a higher ID are returned
+ * @param {Object} search Optional server-side search: `query` text and/or `filter` from getSearchFilter
+ */
+const getMessagesAfter = async (client, channelId, limit = 10, minId = 0, search = {}) => {
+  if (!client || !channelId) {
+    throw new Error("Client and channelId are required");
+  }
+
+  try {
+    const result = await client.getMessages(channelId, {
+      limit,
+      minId,
+      reverse: true,
+      search: search.query,
+      filter: search.filter,
+    });
     return result;
   } catch (error) {
     throw new Error(`Failed to get messages: ${error.message}`);
@@ -29,6 +117,76 @@ const getMessageDetail = async (client, channelId, messageIds) => {
   }
 };
 
+/**
+ * The part file a message downloads to before it is renamed to mediaPath. It holds
+ * the message ID, so media of the same name never share a part file.
+ * @param {string} mediaPath Final file path
+ * @param {number} messageId ID of the message the media belongs to
+ * @returns {string} The part file path
+ */
+const getPartPath = (mediaPath, messageId) => `${mediaPath}.${messageId}${PART_SUFFIX}`;
+
+/**
+ * Download a photo or document to its part file and rename it to mediaPath once
+ * it is complete, so a file at mediaPath is never truncated. An existing part file is
+ * resumed from its size, also when a dropped connection is retried here.
+ * @param {Object} client Telegram client
+ * @param {Object} location The Photo or Document to download
+ * @param {string} mediaPath Final file path
+ * @param {string} partPath Part file path, see getPartPath
+ * @param {Function} progressCallback Called with (downloaded, total) bytes
+ * @returns {Promise<number>} The size of the downloaded file
+ */
+const downloadResumable = async (client, location, mediaPath, partPath, progressCallback) => {
+  // Documents carry their size, photos list one per size and the largest is downloaded
+  const expectedSize = location.size ? Number(location.size) : getPhotoSize(location);
+
+  for (let attempt = 1; ; attempt++) {
+    // Telegram only serves offsets aligned to the request size, drop the partial request at the end
+    let offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+    offset -= offset % DOWNLOAD_REQUEST_SIZE;
+    if (expectedSize !== null && offset > expectedSize) offset = 0;
+    if (offset) {
+      logger.info(`⏯️  Resuming ${path.basename(mediaPath)} at ${(offset / 1024 / 1024).toFixed(1)}MB`);
+    }
+
+    const fd = fs.openSync(partPath, fs.existsSync(partPath) ? "r+" : "w");
+    let position = offset;
+    try {
+      fs.ftruncateSync(fd, offset);
+      for await (const chunk of client.iterDownload({
+        file: location,
+        offset: bigInt(offset),
+        requestSize: DOWNLOAD_REQUEST_SIZE,
+      })) {
+        fs.writeSync(fd, chunk, 0, chunk.length, position);
+        position += chunk.length;
+        progressCallback(position, expectedSize || 0);
+      }
+      fs.fsyncSync(fd);
+    } catch (err) {
+      if (attempt >= DOWNLOAD_ATTEMPTS) throw err;
+      logger.warn(`Download of ${path.basename(mediaPath)} interrupted (${err.message}), resuming...`);
+      await wait(attempt);
+      continue;
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    if (expectedSize !== null && position !== expectedSize) {
+      throw new Error(
+        `${path.basename(mediaPath)} is incomplete (${position} of ${expectedSize} bytes), it is resumed on the next run`
+      );
+    }
+    if (!position) {
+      throw new Error(`${path.basename(mediaPath)} is empty`);
+    }
+
+    fs.renameSync(partPath, mediaPath);
+    return position;
+  }
+};
+
 /**
  * Download message media with progress display - Optimized for 30 Mbps
  * @param {Object} client Telegram client
@@ -36,137 +194,214 @@ const getMessageDetail = async (client, channelId, messageIds) => {
  * @param {string} mediaPath Local file save path
  * @param {number} fileIndex Current file number (1-based)
  * @param {number} totalFiles Total files in this batch
+ * @returns {Promise<boolean>} false if the message has no downloadable media
+ * @throws {Error} If the download fails
  */
-const downloadMessageMedia = async (client, message, mediaPath, fileIndex = 1, totalFiles = 1) => {
-  try {
-    if (!client || !message || !mediaPath) {
-      logger.error("Client, message, and mediaPath are required");
-      return false;
-    }
-
-    if (message.media) {
-      // Handle special media types that don't require downloading
-      if (message.media.webpage) {
-        const webpage = message.media.webpage;
-        if (webpage.url) {
-          const urlPath = path.join(path.dirname(mediaPath), `${message.id}_webpage.txt`);
-          const webpageData = {
-            url: webpage.url,
-            title: webpage.title || '',
-            description: webpage.description || '',
-            siteName: webpage.siteName || '',
-            type: webpage.type || ''
-          };
-          fs.writeFileSync(urlPath, JSON.stringify(webpageData, null, 2));
-        }
+const saveMessageMedia = async (client, message, mediaPath, fileIndex = 1, totalFiles = 1) => {
+  if (!client || !message || !mediaPath) {
+    throw new Error("Client, message, and mediaPath are required");
+  }
 
-        // Download webpage photo if available
-        if (webpage.photo) {
-          mediaPath = path.join(
-            path.dirname(mediaPath),
-            `${message.id}_webpage_image.jpeg`
-          );
-        } else {
-          return true; // No downloadable media
-        }
+  if (message.media) {
+    // Handle special media types that don't require downloading
+    if (message.media.webpage) {
+      const webpage = message.media.webpage;
+      if (webpage.url) {
+        const urlPath = path.join(path.dirname(mediaPath), `${message.id}_webpage.txt`);
+        const webpageData = {
+          url: webpage.url,
+          title: webpage.title || '',
+          description: webpage.description || '',
+          siteName: webpage.siteName || '',
+          type: webpage.type || ''
+        };
+        fs.writeFileSync(urlPath, JSON.stringify(webpageData, null, 2));
       }
 
-      if (message.media.poll) {
-        const pollPath = path.join(path.dirname(mediaPath), `${message.id}_poll.json`);
-        fs.writeFileSync(
-          pollPath,
-          circularStringify(message.media.poll, null, 2)
+      // Download webpage photo if available
+      if (webpage.photo) {
+        mediaPath = path.join(
+          path.dirname(mediaPath),
+          `${message.id}_webpage_image.jpeg`
         );
-        return true; // Poll saved as JSON
+      } else {
+        return true; // No downloadable media
       }
+    }
 
-      if (message.media.geo) {
-        const geoPath = path.join(path.dirname(mediaPath), `${message.id}_location.json`);
-        fs.writeFileSync(
-          geoPath,
-          JSON.stringify({
-            latitude: message.media.geo.lat,
-            longitude: message.media.geo.long,
-            accuracy: message.media.geo.accuracyRadius || null
-          }, null, 2)
-        );
-        return true; // Location saved as JSON
-      }
+    if (message.media.poll) {
+      const pollPath = path.join(path.dirname(mediaPath), `${message.id}_poll.json`);
+      fs.writeFileSync(
+        pollPath,
+        circularStringify(message.media.poll, null, 2)
+      );
+      return true; // Poll saved as JSON
+    }
 
-      if (message.media.contact) {
-        const contactPath = path.join(path.dirname(mediaPath), `${message.id}_contact.json`);
-        fs.writeFileSync(
-          contactPath,
-          JSON.stringify(message.media.contact, null, 2)
-        );
-        return true; // Contact saved as JSON
-      }
+    if (message.media.geo) {
+      const geoPath = path.join(path.dirname(mediaPath), `${message.id}_location.json`);
+      fs.writeFileSync(
+        geoPath,
+        JSON.stringify({
+          latitude: message.media.geo.lat,
+          longitude: message.media.geo.long,
+          accuracy: message.media.geo.accuracyRadius || null
+        }, null, 2)
+      );
+      return true; // Location saved as JSON
+    }
 
-      if (message.media.venue) {
-        const venuePath = path.join(path.dirname(mediaPath), `${message.id}_venue.json`);
-        fs.writeFileSync(
-          venuePath,
-          JSON.stringify(message.media.venue, null, 2)
-        );
-        return true; // Venue saved as JSON
-      }
+    if (message.media.contact) {
+      const contactPath = path.join(path.dirname(mediaPath), `${message.id}_contact.json`);
+      fs.writeFileSync(
+        contactPath,
+        JSON.stringify(message.media.contact, null, 2)
+      );
+      return true; // Contact saved as JSON
+    }
 
-      const fileName = path.basename(mediaPath);
-
-      // Optimized download settings for 30 Mbps speed
-      await client.downloadMedia(message, {
-        outputFile: mediaPath,
-        workers: 16, // Increased to 16 workers for maximum parallel downloads
-        chunkSize: 8 * 1024 * 1024, // Increased to 8MB chunks for 30 Mbps optimization
-        requestSize: 1024 * 1024, // 1MB request size for optimal throughput
-        fileSize: message.media.document?.size || message.media.photo?.sizes?.[0]?.size,
-        progressCallback: (downloaded, total) => {
-          if (total > 0) {
-            const percent = ((downloaded / total) * 100).toFixed(1);
-            const speed = (downloaded / 1024 / 1024).toFixed(1); // MB downloaded
-            process.stdout.write(
-              `\r[${fileIndex}/${totalFiles}] ${fileName}: ${percent}% (${speed}MB)`
-            );
-          }
-          if (downloaded === total) {
-            const finalSize = (total / 1024 / 1024).toFixed(1);
-            process.stdout.write(
-              `\n✅ Downloaded: ${fileName} (${finalSize}MB) [${fileIndex}/${totalFiles}]\n`
-            );
-          }
-        },
-      });
+    if (message.media.venue) {
+      const venuePath = path.join(path.dirname(mediaPath), `${message.id}_venue.json`);
+      fs.writeFileSync(
+        venuePath,
+        JSON.stringify(message.media.venue, null, 2)
+      );
+      return true; // Venue saved as JSON
+    }
 
-      return true;
-    } else if (message.sticker) {
-      // Handle stickers
-      const stickerPath = path.join(path.dirname(mediaPath), `${message.id}_sticker.webp`);
-      await client.downloadMedia(message, {
-        outputFile: stickerPath,
-        workers: 16,
-        chunkSize: 8 * 1024 * 1024,
-        progressCallback: (downloaded, total) => {
-          if (total > 0) {
-            const percent = ((downloaded / total) * 100).toFixed(1);
-            process.stdout.write(`\r[${fileIndex}/${totalFiles}] Sticker: ${percent}%`);
-          }
-          if (downloaded === total) {
-            process.stdout.write(`\n✅ Downloaded: Sticker [${fileIndex}/${totalFiles}]\n`);
-          }
-        },
-      });
-      return true;
-    } else {
+    const fileName = path.basename(mediaPath);
+    const location = message.media.document || message.media.photo || message.media.webpage?.photo;
+    if (!location) {
       logger.warn(`No downloadable media found in message ${message.id}`);
       return false;
     }
 
+    const partPath = getPartPath(mediaPath, message.id);
+    const size = await downloadResumable(client, location, mediaPath, partPath, (downloaded, total) => {
+      if (total > 0) {
+        const percent = ((downloaded / total) * 100).toFixed(1);
+        const speed = (downloaded / 1024 / 1024).toFixed(1); // MB downloaded
+        process.stdout.write(
+          `\r[${fileIndex}/${totalFiles}] ${fileName}: ${percent}% (${speed}MB)`
+        );
+      }
+    });
+
+    const finalSize = (size / 1024 / 1024).toFixed(1);
+    process.stdout.write(
+      `\n✅ Downloaded: ${fileName} (${finalSize}MB) [${fileIndex}/${totalFiles}]\n`
+    );
+    return true;
+  } else if (message.sticker) {
+    // Handle stickers
+    const stickerPath = path.join(path.dirname(mediaPath), `${message.id}_sticker.webp`);
+    await client.downloadMedia(message, {
+      outputFile: stickerPath,
+      workers: 16,
+      chunkSize: 8 * 1024 * 1024,
+      progressCallback: (downloaded, total) => {
+        if (total > 0) {
+          const percent = ((downloaded / total) * 100).toFixed(1);
+          process.stdout.write(`\r[${fileIndex}/${totalFiles}] Sticker: ${percent}%`);
+        }
+        if (downloaded === total) {
+          process.stdout.write(`\n✅ Downloaded: Sticker [${fileIndex}/${totalFiles}]\n`);
+        }
+      },
+    });
+    return true;
+  } else {
+    logger.warn(`No downloadable media found in message ${message.id}`);
+    return false;
+  }
+};
+
+/**
+ * Download message media like saveMessageMedia, logging errors instead of throwing them
+ * @returns {Promise<boolean>} Whether the media was saved
+ */
+const downloadMessageMedia = async (client, message, mediaPath, fileIndex = 1, totalFiles = 1) => {
+  try {
+    return await saveMessageMedia(client, message, mediaPath, fileIndex, totalFiles);
   } catch (err) {
     logger.error(`Error downloading media for message ${message.id}: ${err.message}`);
     return false;
   }
 };
 
+/**
+ * Download the largest thumbnail of a document, to upload along with its file
+ * @returns {Promise<Buffer|undefined>} The thumbnail, undefined if there is none
+ */
+const downloadThumbnail = async (client, document) => {
+  const thumbs = (document.thumbs || []).filter(
+    (thumb) => thumb instanceof Api.PhotoSize || thumb instanceof Api.PhotoSizeProgressive
+  );
+  const size = (thumb) => (thumb.sizes ? Math.max(...thumb.sizes) : thumb.size);
+  const largest = thumbs.sort((a, b) => size(a) - size(b)).pop();
+  if (!largest) return undefined;
+
+  try {
+    return await client.downloadMedia(document, { thumb: largest });
+  } catch (error) {
+    logger.warn(`Could not download the thumbnail of document ${document.id}: ${error.message}`);
+    return undefined;
+  }
+};
+
+/**
+ * sendFile options to upload a downloaded file so it looks like the original:
+ * same attributes (file name, duration, dimensions, streaming and round video
+ * flags), thumbnail, and images sent as files stay files
+ */
+const getReuploadOptions = async (client, message, mediaPath) => {
+  const { document } = message.media;
+  if (!document) return { file: mediaPath };
+
+  const attributes = document.attributes || [];
+  const video = attributes.find((a) => a.className === "DocumentAttributeVideo");
+  const audio = attributes.find((a) => a.className === "DocumentAttributeAudio");
+  return {
+    file: mediaPath,
+    attributes,
+    thumb: await downloadThumbnail(client, document),
+    forceDocument: Boolean(document.mimeType?.startsWith("image/")),
+    supportsStreaming: Boolean(video?.supportsStreaming),
+    videoNote: Boolean(video?.roundMessage),
+    voiceNote: Boolean(audio?.voice),
+  };
+};
+
+/**
+ * Describe media that is sent as text, since it cannot be sent again as it was
+ * @param {Object} media The message media
+ * @returns {string|null} The text to put before the caption, or null for media that is sent as a file
+ */
+const describeMedia = (media) => {
+  if (media.poll) {
+    // For polls, create a text message with poll data
+    const pollData = media.poll;
+    return `📊 Poll: ${pollData.question}\n\nOptions:\n${pollData.answers.map((ans, i) => `${i + 1}. ${ans.text}`).join('\n')}\n\n`;
+  } else if (media.geo) {
+    // For location, send as venue or text
+    const geo = media.geo;
+    return `📍 Location: ${geo.lat}, ${geo.long}\n\n`;
+  } else if (media.contact) {
+    // For contacts, send contact info
+    const contact = media.contact;
+    return `👤 Contact: ${contact.firstName} ${contact.lastName || ''}\nPhone: ${contact.phoneNumber}\n\n`;
+  } else if (media.venue) {
+    // For venues, send venue info
+    const venue = media.venue;
+    return `🏢 Venue: ${venue.title}\nAddress: ${venue.address}\n\n`;
+  } else if (media.webpage) {
+    // For web pages, include URL
+    const webpage = media.webpage;
+    return `🔗 ${webpage.title || 'Webpage'}\n${webpage.url}\n${webpage.description || ''}\n\n`;
+  }
+  return null;
+};
+
 /**
  * Upload a message with media to a target channel with preserved caption/text
  * Optimized for 30 Mbps upload speed
@@ -174,21 +409,27 @@ const downloadMessageMedia = async (client, message, mediaPath, fileIndex = 1, t
  * @param {string} targetChannelId Target channel ID
  * @param {Object} message Original message object
  * @param {string} mediaPath Local media file path (optional)
+ * @param {Object} options `replyTo`: target message ID to send the message as a reply to,
+ *   `captionRules`: rules from loadCaptionRules to rewrite the text with,
+ *   `transfer`: one of TRANSFER_STRATEGIES (default "reupload", forwarding what was not downloaded),
+ *   `noforwards`: the source forbids forwarding and copying, so only downloaded files can be sent (optional)
  */
-const uploadMessageToChannel = async (client, targetChannelId, message, mediaPath = null) => {
+const uploadMessageToChannel = async (client, targetChannelId, message, mediaPath = null, options = {}) => {
   try {
     if (!client || !targetChannelId || !message) {
       throw new Error("Client, targetChannelId, and message are required");
     }
 
-    // Preserve original caption/text exactly as it appears
-    const originalCaption = message.message || "";
-    const originalEntities = message.entities || [];
+    // Preserve original caption/text exactly as it appears, unless caption rules rewrite it
+    const { text: originalCaption, entities: originalEntities } = options.captionRules
+      ? rewriteCaption(message.message, message.entities, options.captionRules)
+      : { text: message.message || "", entities: message.entities || [] };
 
     let uploadOptions = {
       message: originalCaption,
-      entities: originalEntities,
+      formattingEntities: originalEntities,
       parseMode: null, // Use entities instead of parseMode for exact preservation
+      replyTo: options.replyTo,
       silent: true,
       // Optimize upload speed for 30 Mbps
       workers: 16, // Increased workers for parallel upload
@@ -206,81 +447,61 @@ const uploadMessageToChannel = async (client, targetChannelId, message, mediaPat
 
     // Handle different types of content
     if (message.media) {
+      const transfer = options.transfer || "reupload";
+      const noforwards = options.noforwards || message.noforwards;
+      const hasFile = Boolean(message.media.photo || message.media.document);
+
       // Handle media messages with preserved captions
-      if (mediaPath && fs.existsSync(mediaPath)) {
+      if (mediaPath && fs.existsSync(mediaPath) && (transfer === "reupload" || noforwards)) {
         // Upload with local file (for downloaded media)
-        uploadOptions.file = mediaPath;
-        
-        // Preserve media-specific attributes
-        if (message.media.photo) {
-          uploadOptions.supportsStreaming = true;
-        } else if (message.media.document) {
-          const doc = message.media.document;
-          uploadOptions.attributes = doc.attributes || [];
-          uploadOptions.mimeType = doc.mimeType;
-          uploadOptions.supportsStreaming = true;
-        } else if (message.media.video) {
-          uploadOptions.supportsStreaming = true;
-          uploadOptions.videoNote = message.media.videoNote || false;
-        }
-        
+        Object.assign(uploadOptions, await getReuploadOptions(client, message, mediaPath));
+      } else if (hasFile && noforwards) {
+        throw new Error("the source forbids forwarding and the media was not downloaded");
       } else {
         // Try to forward original media with caption preservation
-        try {
-          const result = await client.forwardMessages(targetChannelId, {
-            messages: [message.id],
-            fromPeer: message.peerId,
-            silent: true,
-            dropAuthor: false,
-            dropMediaCaptions: false // Preserve captions
-          });
-          return result;
-        } catch (forwardError) {
-          logger.warn(`Could not forward message ${message.id}, uploading as new message`);
-          
-          // If forwarding fails, upload original media reference
-          if (message.media.photo) {
-            uploadOptions.file = message.media.photo;
-          } else if (message.media.document) {
-            uploadOptions.file = message.media.document;
-          } else if (message.media.video) {
-            uploadOptions.file = message.media.video;
-          } else if (message.media.audio) {
-            uploadOptions.file = message.media.audio;
-          } else if (message.media.voice) {
-            uploadOptions.file = message.media.voice;
-            uploadOptions.voiceNote = true;
+        // Forwards cannot be replies or have rewritten captions, so those are sent as new messages right away
+        if (transfer !== "copy-by-reference" && !options.replyTo && !options.captionRules) {
+          try {
+            const result = await client.forwardMessages(targetChannelId, {
+              messages: [message.id],
+              fromPeer: message.peerId,
+              silent: true,
+              dropAuthor: false,
+              dropMediaCaptions: false // Preserve captions
+            });
+            return result;
+          } catch (forwardError) {
+            logger.warn(`Could not forward message ${message.id}, uploading as new message`);
           }
         }
+
+        // If forwarding fails, upload original media reference
+        if (message.media.photo) {
+          uploadOptions.file = message.media.photo;
+        } else if (message.media.document) {
+          uploadOptions.file = message.media.document;
+        } else if (message.media.video) {
+          uploadOptions.file = message.media.video;
+        } else if (message.media.audio) {
+          uploadOptions.file = message.media.audio;
+        } else if (message.media.voice) {
+          uploadOptions.file = message.media.voice;
+          uploadOptions.voiceNote = true;
+        }
       }
       
       // Handle special media types
-      if (message.media.poll) {
-        // For polls, create a text message with poll data
-        const pollData = message.media.poll;
-        uploadOptions.message = `📊 Poll: ${pollData.question}\n\nOptions:\n${pollData.answers.map((ans, i) => `${i + 1}. ${ans.text}`).join('\n')}\n\n${originalCaption}`;
-        delete uploadOptions.file;
-      } else if (message.media.geo) {
-        // For location, send as venue or text
-        const geo = message.media.geo;
-        uploadOptions.message = `📍 Location: ${geo.lat}, ${geo.long}\n\n${originalCaption}`;
-        delete uploadOptions.file;
-      } else if (message.media.contact) {
-        // For contacts, send contact info
-        const contact = message.media.contact;
-        uploadOptions.message = `👤 Contact: ${contact.firstName} ${contact.lastName || ''}\nPhone: ${contact.phoneNumber}\n\n${originalCaption}`;
-        delete uploadOptions.file;
-      } else if (message.media.venue) {
-        // For venues, send venue info
-        const venue = message.media.venue;
-        uploadOptions.message = `🏢 Venue: ${venue.title}\nAddress: ${venue.address}\n\n${originalCaption}`;
-        delete uploadOptions.file;
-      } else if (message.media.webpage) {
-        // For web pages, include URL
-        const webpage = message.media.webpage;
-        uploadOptions.message = `🔗 ${webpage.title || 'Webpage'}\n${webpage.url}\n${webpage.description || ''}\n\n${originalCaption}`;
+      const description = describeMedia(message.media);
+      if (description !== null) {
+        uploadOptions.message = description + originalCaption;
         delete uploadOptions.file;
       }
+
+      // The descriptions above come before the caption, move its formatting along
+      uploadOptions.formattingEntities = shiftEntities(
+        originalEntities,
+        uploadOptions.message.length - originalCaption.length
+      );
       
     } else if (message.sticker) {
       // Handle stickers
@@ -294,8 +515,11 @@ const uploadMessageToChannel = async (client, targetChannelId, message, mediaPat
       }
     }
 
-    // Send the message with preserved formatting
-    const result = await client.sendMessage(targetChannelId, uploadOptions);
+    // Send the message with preserved formatting; files go through sendFile,
+    // which takes the attributes, thumbnail, streaming and upload options
+    const result = uploadOptions.file
+      ? await client.sendFile(targetChannelId, { ...uploadOptions, caption: uploadOptions.message })
+      : await client.sendMessage(targetChannelId, uploadOptions);
     return result;
 
   } catch (error) {
@@ -303,6 +527,197 @@ const uploadMessageToChannel = async (client, targetChannelId, message, mediaPat
   }
 };
 
+/**
+ * Group the members of albums (messages sharing a groupedId), in album order
+ * @param {Array} messages Messages in any order
+ * @returns {Array<Array>} One array per album or single message, in the order of their first message
+ */
+const groupAlbumMessages = (messages) => {
+  const groups = [];
+  const albums = new Map();
+  messages.forEach((message) => {
+    const albumId = message.groupedId?.toString();
+    if (albumId && albums.has(albumId)) {
+      albums.get(albumId).push(message);
+      return;
+    }
+    const group = [message];
+    if (albumId) albums.set(albumId, group);
+    groups.push(group);
+  });
+  return groups.map((group) => group.sort((a, b) => a.id - b.id));
+};
+
+/**
+ * Upload one album member and return it as media that can be sent in an album
+ * Uses the local file when there is one, the original media otherwise
+ */
+const getAlbumItemMedia = async (client, peer, message, mediaPath, options = {}) => {
+  const { photo, document } = message.media;
+  const noforwards = options.noforwards || message.noforwards;
+  const hasLocalFile = Boolean(mediaPath && fs.existsSync(mediaPath));
+  if (!hasLocalFile && noforwards) {
+    throw new Error(`the source forbids forwarding and message ${message.id} was not downloaded`);
+  }
+  if (!hasLocalFile || (options.transfer === "copy-by-reference" && !noforwards)) {
+    return utils.getInputMedia(photo || document);
+  }
+
+  const reupload = await getReuploadOptions(client, message, mediaPath);
+  const thumb = reupload.thumb && await client.uploadFile({
+    file: new CustomFile("thumb.jpg", reupload.thumb.length, "", reupload.thumb),
+    workers: 1,
+  });
+
+  const inputFile = await client.uploadFile({
+    file: new CustomFile(path.basename(mediaPath), fs.statSync(mediaPath).size, mediaPath),
+    workers: 16,
+  });
+  const uploaded = await client.invoke(
+    new Api.messages.UploadMedia({
+      peer,
+      media: photo
+        ? new Api.InputMediaUploadedPhoto({ file: inputFile })
+        : new Api.InputMediaUploadedDocument({
+            file: inputFile,
+            mimeType: document.mimeType,
+            attributes: reupload.attributes,
+            thumb,
+            forceFile: reupload.forceDocument,
+          }),
+    })
+  );
+  return utils.getInputMedia(uploaded.photo || uploaded.document);
+};
+
+/**
+ * Upload an album to a target channel as a single media group
+ * Every member keeps its caption and formatting, so the album caption is preserved
+ * With the forward transfer, or when nothing was downloaded, the album is forwarded as a whole first
+ * @param {Object} client Telegram client
+ * @param {string} targetChannelId Target channel ID
+ * @param {Array} messages Album members in album order
+ * @param {Map} mediaPaths Local media file paths by message ID
+ * @param {Object} options `replyTo`, `captionRules`, `transfer` and `noforwards` as for uploadMessageToChannel (optional)
+ * @returns {Promise<Object>} The result of the upload
+ */
+const uploadAlbumToChannel = async (client, targetChannelId, messages, mediaPaths = new Map(), options = {}) => {
+  try {
+    if (!client || !targetChannelId || !messages?.length) {
+      throw new Error("Client, targetChannelId, and messages are required");
+    }
+
+    const downloaded = messages.some((message) => {
+      const mediaPath = mediaPaths.get(message.id);
+      return mediaPath && fs.existsSync(mediaPath);
+    });
+    const transfer = options.transfer || "reupload";
+    const noforwards = options.noforwards || messages.some((message) => message.noforwards);
+    const forward = transfer === "forward" || (transfer === "reupload" && !downloaded);
+    if (forward && !noforwards && !options.replyTo && !options.captionRules) {
+      try {
+        return await client.forwardMessages(targetChannelId, {
+          messages: messages.map((message) => message.id),
+          fromPeer: messages[0].peerId,
+          silent: true,
+        });
+      } catch (forwardError) {
+        logger.warn(`Could not forward album ${messages[0].groupedId}, uploading it as a new album`);
+      }
+    }
+
+    const peer = await client.getInputEntity(targetChannelId);
+    // Appended text only goes to the item showing the album caption
+    const captioned = messages.find((message) => message.message) || messages[0];
+    const multiMedia = [];
+    for (const [index, message] of messages.entries()) {
+      process.stdout.write(`\r📤 Uploading album item ${index + 1}/${messages.length}`);
+      const caption = options.captionRules
+        ? rewriteCaption(message.message, message.entities, options.captionRules, {
+            append: message === captioned,
+          })
+        : { text: message.message || "", entities: message.entities || [] };
+      multiMedia.push(
+        new Api.InputSingleMedia({
+          media: await getAlbumItemMedia(client, peer, message, mediaPaths.get(message.id), options),
+          message: caption.text,
+          entities: caption.entities,
+        })
+      );
+    }
+    process.stdout.write("\n");
+
+    return await client.invoke(
+      new Api.messages.SendMultiMedia({
+        peer,
+        multiMedia,
+        silent: true,
+        replyTo: options.replyTo
+          ? new Api.InputReplyToMessage({ replyToMsgId: options.replyTo })
+          : undefined,
+      })
+    );
+  } catch (error) {
+    throw new Error(`Failed to upload album: ${error.message}`);
+  }
+};
+
+/**
+ * Get the IDs of the messages an upload, forward or album upload created
+ * @param {Object|Array} result The Message, the forwarded Messages or the Updates of an album
+ * @returns {number[]} The message IDs, in the order they were sent
+ */
+const getSentMessageIds = (result) => {
+  if (result?.updates) {
+    return result.updates
+      .filter((update) => update.message?.id)
+      .map((update) => update.message.id)
+      .sort((a, b) => a - b);
+  }
+  return [result].flat().map((message) => message?.id).filter(Boolean);
+};
+
+/**
+ * Apply an edit of a source message to its copy in a target channel. Only the
+ * text or caption is changed; replaced media is not uploaded again.
+ * @param {Object} client Telegram client
+ * @param {string} targetChannelId Target channel ID
+ * @param {number} targetMessageId The copy in the target channel
+ * @param {Object} message The edited source message
+ * @param {Object} options `captionRules`: rules the copy was rewritten with,
+ *   `append`: whether appended text goes to this message (false for album items without the caption)
+ */
+const editMessageCopy = async (client, targetChannelId, targetMessageId, message, options = {}) => {
+  try {
+    const caption = options.captionRules
+      ? rewriteCaption(message.message, message.entities, options.captionRules, { append: options.append })
+      : { text: message.message || "", entities: message.entities || [] };
+    const description = (message.media && describeMedia(message.media)) || "";
+
+    return await client.editMessage(targetChannelId, {
+      message: targetMessageId,
+      text: description + caption.text,
+      formattingEntities: shiftEntities(caption.entities, description.length),
+    });
+  } catch (error) {
+    throw new Error(`Failed to edit message: ${error.message}`);
+  }
+};
+
+/**
+ * Delete the copies of source messages from a target channel
+ * @param {Object} client Telegram client
+ * @param {string} targetChannelId Target channel ID
+ * @param {number[]} targetMessageIds The copies in the target channel
+ */
+const deleteMessageCopies = async (client, targetChannelId, targetMessageIds) => {
+  try {
+    return await client.deleteMessages(targetChannelId, targetMessageIds, { revoke: true });
+  } catch (error) {
+    throw new Error(`Failed to delete messages: ${error.message}`);
+  }
+};
+
 /**
  * Forward a message to target channel
  * @param {Object} client Telegram client
@@ -324,9 +739,19 @@ const forwardMessageToChannel = async (client, targetChannelId, sourceChannelId,
 };
 
 module.exports = {
+  TRANSFER_STRATEGIES,
   getMessages,
+  getMessagesAfter,
   getMessageDetail,
+  getSearchFilter,
+  getPartPath,
+  saveMessageMedia,
   downloadMessageMedia,
+  groupAlbumMessages,
   uploadMessageToChannel,
+  uploadAlbumToChannel,
+  getSentMessageIds,
+  editMessageCopy,
+  deleteMessageCopies,
   forwardMessageToChannel,
 };
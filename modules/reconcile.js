@@ -0,0 +1,90 @@
+const { utils } = require("telegram");
+const { getMessages } = require("./messages");
+const { loadMessages } = require("../utils/message-log");
+const { toMessageRecord } = require("../utils/message-record");
+const { replaceUploads } = require("../utils/upload-map");
+const { rewriteCaption } = require("../utils/caption-rules");
+const { wait, MEDIA_TYPES } = require("../utils/helper");
+
+const MESSAGE_LIMIT = 100;
+
+// What a copy keeps of its source: the text, the media type and, except for
+// photos (which Telegram recompresses), the file size
+const getFingerprint = (record) =>
+  JSON.stringify([
+    record.message || "",
+    record.mediaType || null,
+    record.mediaType === MEDIA_TYPES.IMAGE ? null : record.media?.size ?? null,
+  ]);
+
+/**
+ * Rebuilds the upload map of a source channel for one target channel from the
+ * posts in the target. Forwarded posts are matched by the message they were
+ * forwarded from, copies by their text, media type and file size against the
+ * message log of the source; identical posts are paired up oldest first.
+ *
+ * @param {Object} client - The Telegram client.
+ * @param {string} outputFolder - The source channel export folder.
+ * @param {number} sourceChannelId - The source channel ID.
+ * @param {number} targetChannelId - The target channel ID.
+ * @param {Array<Object>} [captionRules] - Caption rules the copies were rewritten with.
+ * @returns {Promise<Object>} `{ scanned, forwarded, matched, unmatched }` counts of target posts.
+ */
+const reconcileUploads = async (client, outputFolder, sourceChannelId, targetChannelId, captionRules = null) => {
+  const unmatchedSources = new Map();
+  loadMessages(outputFolder).forEach((record) => {
+    // Album items without text got no appended text, see uploadAlbumToChannel
+    const message = captionRules
+      ? rewriteCaption(record.message, [], captionRules, {
+          append: !record.groupedId || Boolean(record.message),
+        }).text
+      : record.message;
+    const fingerprint = getFingerprint({ ...record, message });
+    unmatchedSources.set(fingerprint, [...(unmatchedSources.get(fingerprint) || []), record.id]);
+  });
+
+  // Walk the target from its newest post back; collect first, match oldest first
+  const posts = [];
+  let offsetId = 0;
+  for (;;) {
+    const batch = await getMessages(client, targetChannelId, MESSAGE_LIMIT, offsetId);
+    if (!batch.length) break;
+    posts.push(...batch.filter((post) => post.className === "Message"));
+    offsetId = batch[batch.length - 1].id;
+    await wait(1);
+  }
+  posts.sort((a, b) => a.id - b.id);
+
+  const uploads = new Map();
+  const summary = { scanned: posts.length, forwarded: 0, matched: 0, unmatched: 0 };
+  // The oldest source message with the fingerprint that has no copy yet
+  const take = (fingerprint) => (unmatchedSources.get(fingerprint) || []).shift();
+
+  posts.forEach((post) => {
+    const fwdFrom = post.fwdFrom;
+    if (
+      fwdFrom?.channelPost &&
+      fwdFrom.fromId &&
+      String(utils.getPeerId(fwdFrom.fromId)) === String(sourceChannelId)
+    ) {
+      uploads.set(fwdFrom.channelPost, post.id);
+      summary.forwarded++;
+      return;
+    }
+
+    const sourceId = take(getFingerprint(toMessageRecord(post, outputFolder)));
+    if (sourceId !== undefined && !uploads.has(sourceId)) {
+      uploads.set(sourceId, post.id);
+      summary.matched++;
+    } else {
+      summary.unmatched++;
+    }
+  });
+
+  replaceUploads(outputFolder, targetChannelId, [...uploads]);
+  return summary;
+};
+
+module.exports = {
+  reconcileUploads,
+};
@@ -0,0 +1,91 @@
+const { Api, utils } = require("telegram");
+const logger = require("../utils/logger");
+
+// Requests sent through the takeout session: reading history and downloading files.
+// Everything else (dialogs, sending, uploading) keeps using the regular session.
+const TAKEOUT_REQUESTS = new Set([
+  "messages.GetHistory",
+  "messages.Search",
+  "messages.GetMessages",
+  "channels.GetMessages",
+  "upload.GetFile",
+]);
+
+// Largest file the takeout session may download, Telegram's 4 GB limit
+const TAKEOUT_FILE_MAX_SIZE = 4000 * 1024 * 1024;
+
+/**
+ * Start a takeout session and route the history and file requests of the client through it.
+ * Takeout sessions are meant for exporting data and have much more lenient flood limits.
+ * @param {Object} client Telegram client
+ * @returns {Promise<Object>} The takeout, to be closed with finishTakeout
+ */
+const startTakeout = async (client) => {
+  let takeout;
+  try {
+    takeout = await client.invoke(
+      new Api.account.InitTakeoutSession({
+        messageUsers: true,
+        messageChats: true,
+        messageMegagroups: true,
+        messageChannels: true,
+        files: true,
+        fileMaxSize: TAKEOUT_FILE_MAX_SIZE,
+      })
+    );
+  } catch (err) {
+    if (err.errorMessage?.startsWith("TAKEOUT_INIT_DELAY")) {
+      const seconds = err.errorMessage.match(/\d+/)?.[0];
+      throw new Error(
+        "Telegram wants the data export to be confirmed first: allow it in the Telegram service chat " +
+          `of another logged-in app and run the command again${seconds ? ` (or retry in ${seconds} seconds)` : ""}`
+      );
+    }
+    throw err;
+  }
+
+  const wrap = async (request) => {
+    if (!TAKEOUT_REQUESTS.has(request.className)) return request;
+    // InvokeWithTakeout does not resolve the peers of the wrapped request itself
+    await request.resolve(client, utils);
+    return new Api.InvokeWithTakeout({ takeoutId: takeout.id, query: request });
+  };
+
+  const { invoke, invokeWithSender } = client;
+  client.invoke = async (request, dcId) => invoke.call(client, await wrap(request), dcId);
+  client.invokeWithSender = async (request, sender) =>
+    invokeWithSender.call(client, await wrap(request), sender);
+
+  logger.info("📦 Takeout session started");
+  return takeout;
+};
+
+/**
+ * Close a takeout session and send requests through the regular session again
+ * @param {Object} client Telegram client
+ * @param {Object} takeout The takeout returned by startTakeout
+ * @param {boolean} success Whether the export completed
+ */
+const finishTakeout = async (client, takeout, success = true) => {
+  if (!takeout) return;
+
+  delete client.invoke;
+  delete client.invokeWithSender;
+
+  try {
+    await client.invoke(
+      new Api.InvokeWithTakeout({
+        takeoutId: takeout.id,
+        query: new Api.account.FinishTakeoutSession({ success }),
+      })
+    );
+    logger.info(`📦 Takeout session closed${success ? "" : " (export incomplete)"}`);
+  } catch (err) {
+    logger.warn(`Could not close takeout session: ${err.message}`);
+  }
+};
+
+module.exports = {
+  startTakeout,
+  finishTakeout,
+};
@@ -0,0 +1,447 @@
+const fs = require("fs");
+const path = require("path");
+const { loadMessages, appendMessages } = require("../utils/message-log");
+const { getMarkedPeerId, MESSAGE_SCHEMA_VERSION } = require("../utils/message-record");
+const { splitByEntities } = require("../utils/entities");
+const { MEDIA_TYPES } = require("../utils/helper");
+const { getExportedDialogs } = require("./dialoges");
+
+const RESULT_FILE = "result.json";
+const FILE_NOT_INCLUDED = "(File not included. Change data exporting settings to download.)";
+
+// Media folders used by Telegram Desktop exports
+const TDESKTOP_FOLDERS = {
+  PHOTOS: "photos",
+  VIDEO_FILES: "video_files",
+  VOICE_MESSAGES: "voice_messages",
+  ROUND_VIDEO_MESSAGES: "round_video_messages",
+  STICKERS: "stickers",
+  FILES: "files",
+};
+
+// Entity types of message records and their Telegram Desktop names
+const ENTITY_TYPES = {
+  bold: "bold",
+  italic: "italic",
+  underline: "underline",
+  strike: "strikethrough",
+  code: "code",
+  pre: "pre",
+  textUrl: "text_link",
+  url: "link",
+  email: "email",
+  phone: "phone",
+  mention: "mention",
+  mentionName: "mention_name",
+  hashtag: "hashtag",
+  cashtag: "cashtag",
+  botCommand: "bot_command",
+  bankCard: "bank_card",
+  spoiler: "spoiler",
+  blockquote: "blockquote",
+  customEmoji: "custom_emoji",
+};
+
+/**
+ * Returns the Telegram Desktop folder a message's media is saved to.
+ * @param {Object} message - The Telegram message.
+ * @returns {string} The folder name.
+ */
+const getTdesktopFolder = (message) => {
+  const { photo, document } = message.media || {};
+  if (photo) return TDESKTOP_FOLDERS.PHOTOS;
+
+  const attributes = document?.attributes || [];
+  if (attributes.some((a) => a.className === "DocumentAttributeSticker")) {
+    return TDESKTOP_FOLDERS.STICKERS;
+  }
+  if (attributes.some((a) => a.className === "DocumentAttributeAudio" && a.voice)) {
+    return TDESKTOP_FOLDERS.VOICE_MESSAGES;
+  }
+  if (attributes.some((a) => a.className === "DocumentAttributeVideo" && a.roundMessage)) {
+    return TDESKTOP_FOLDERS.ROUND_VIDEO_MESSAGES;
+  }
+  if (document?.mimeType?.startsWith("video/")) return TDESKTOP_FOLDERS.VIDEO_FILES;
+
+  return TDESKTOP_FOLDERS.FILES;
+};
+
+// "2024-01-31T08:05:09" in local time, like Telegram Desktop writes dates
+const formatDate = (unixtime) => {
+  const date = new Date(unixtime * 1000);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+// Export chat type, derived from the dialog list entry
+const getChatType = (dialog = {}) => {
+  if (dialog.type === "User") return dialog.isBot ? "bot_chat" : "personal_chat";
+  if (dialog.type === "Group") return dialog.username ? "public_supergroup" : "private_group";
+  return dialog.username ? "public_channel" : "private_channel";
+};
+
+// Telegram Desktop ids are unmarked: -1001234 becomes 1234
+const getBareId = (markedId) =>
+  Number(String(markedId).replace(/^-100/, "").replace(/^-/, ""));
+
+const getFromId = (peer) => (peer ? `${peer.type}${peer.id}` : undefined);
+
+/**
+ * Converts message record text and entities into Telegram Desktop's
+ * text_entities: a flat list of typed runs covering the whole text. Nested
+ * entities cannot be expressed, the innermost one wins.
+ * @param {string} text - The message text.
+ * @param {Array<Object>} entities - The entities, as stored in message records.
+ * @returns {Array<Object>} The text entities.
+ */
+const toTextEntities = (text, entities = []) =>
+  splitByEntities(text, entities)
+    .filter((segment) => segment.text)
+    .map((segment) => {
+      const entity = segment.entities[segment.entities.length - 1];
+      if (!entity || !ENTITY_TYPES[entity.type]) {
+        return { type: "plain", text: segment.text };
+      }
+
+      const textEntity = { type: ENTITY_TYPES[entity.type], text: segment.text };
+      if (entity.url) textEntity.href = entity.url;
+      if (entity.type === "pre") textEntity.language = entity.language || "";
+      if (entity.userId) textEntity.user_id = Number(entity.userId);
+      if (entity.documentId) textEntity.document_id = entity.documentId;
+      return textEntity;
+    });
+
+// Media fields of an exported message, named after the record's media kind
+const toMediaFields = (record, outputFolder) => {
+  const fileless = [MEDIA_TYPES.WEBPAGE, MEDIA_TYPES.POLL, MEDIA_TYPES.GEO, MEDIA_TYPES.VENUE, MEDIA_TYPES.CONTACT];
+  if (fileless.includes(record.mediaType)) return {};
+
+  const media = record.media || {};
+  const file = media.file || (record.mediaPath ? path.relative(outputFolder, record.mediaPath) : null);
+  const filePath = file && fs.existsSync(path.join(outputFolder, file))
+    ? file.split(path.sep).join("/")
+    : FILE_NOT_INCLUDED;
+
+  const folder = file ? file.split(path.sep)[0] : null;
+  const isPhoto = folder === TDESKTOP_FOLDERS.PHOTOS ||
+    (record.mediaType === MEDIA_TYPES.IMAGE && !media.originalName);
+  if (isPhoto) {
+    return {
+      photo: filePath,
+      photo_file_size: media.size,
+      width: media.width,
+      height: media.height,
+    };
+  }
+
+  const mediaTypes = {
+    [TDESKTOP_FOLDERS.STICKERS]: "sticker",
+    [TDESKTOP_FOLDERS.VOICE_MESSAGES]: "voice_message",
+    [TDESKTOP_FOLDERS.ROUND_VIDEO_MESSAGES]: "video_message",
+  };
+  let mediaType = mediaTypes[folder];
+  if (!mediaType && record.mediaType === MEDIA_TYPES.VIDEO) mediaType = "video_file";
+  if (!mediaType && record.mediaType === MEDIA_TYPES.AUDIO) mediaType = "audio_file";
+  if (!mediaType && record.mediaType === MEDIA_TYPES.STICKER) mediaType = "sticker";
+
+  return {
+    file: filePath,
+    file_name: media.originalName,
+    file_size: media.size,
+    media_type: mediaType,
+    mime_type: media.mimeType,
+    duration_seconds: media.duration,
+    width: media.width,
+    height: media.height,
+  };
+};
+
+/**
+ * Converts a message record into a Telegram Desktop export message.
+ * @param {Object} record - The message record.
+ * @param {Object} context - `outputFolder`, the channel `name` and `fromId`, and `dialogNames`.
+ * @returns {Object} The exported message.
+ */
+const toTdesktopMessage = (record, { outputFolder, name, fromId, dialogNames }) => {
+  const textEntities = toTextEntities(record.message || "", record.entities);
+  const text = textEntities.every((e) => e.type === "plain")
+    ? record.message || ""
+    : textEntities.map((e) => (e.type === "plain" ? e.text : e));
+
+  const exported = {
+    id: record.id,
+    type: "message",
+    date: formatDate(record.date),
+    date_unixtime: String(record.date),
+  };
+  if (record.editDate) {
+    exported.edited = formatDate(record.editDate);
+    exported.edited_unixtime = String(record.editDate);
+  }
+
+  exported.from = record.from ? dialogNames[getMarkedPeerId(record.from)] || null : name;
+  exported.from_id = getFromId(record.from) || fromId;
+  if (record.postAuthor) exported.author = record.postAuthor;
+  if (record.forward) {
+    exported.forwarded_from = record.forward.fromName ||
+      dialogNames[getMarkedPeerId(record.forward.from)] || null;
+  }
+  if (record.replyTo) exported.reply_to_message_id = record.replyTo.messageId;
+  if (record.hasMedia && record.media) Object.assign(exported, toMediaFields(record, outputFolder));
+  if (record.reactions?.length) {
+    exported.reactions = record.reactions.map((r) => (r.emoji
+      ? { type: "emoji", count: r.count, emoji: r.emoji }
+      : { type: r.paid ? "paid" : "custom_emoji", count: r.count, document_id: r.documentId }));
+  }
+
+  exported.text = text;
+  exported.text_entities = textEntities;
+  return exported;
+};
+
+/**
+ * Writes result.json in Telegram Desktop's export format from the message
+ * log of a channel. Media paths point into the photos/, video_files/, files/
+ * ... folders next to it.
+ * @param {string} outputFolder - The channel export folder.
+ * @param {string|number} channelId - The marked channel ID.
+ * @returns {number} The number of messages written.
+ */
+const writeTdesktopExport = (outputFolder, channelId) => {
+  const records = loadMessages(outputFolder);
+  const dialogs = getExportedDialogs();
+  const dialogNames = Object.fromEntries(dialogs.map((d) => [String(d.id), d.name]));
+  const dialog = dialogs.find((d) => String(d.id) === String(channelId)) || {};
+  const name = dialog.name || String(channelId);
+  const type = getChatType(dialog);
+  const id = getBareId(channelId);
+  const fromId = `${type.endsWith("chat") ? "user" : "channel"}${id}`;
+
+  const result = {
+    name,
+    type,
+    id,
+    messages: records.map((record) =>
+      toTdesktopMessage(record, { outputFolder, name, fromId, dialogNames })
+    ),
+  };
+
+  const resultPath = path.join(outputFolder, RESULT_FILE);
+  fs.writeFileSync(`${resultPath}.tmp`, JSON.stringify(result, null, 1));
+  fs.renameSync(`${resultPath}.tmp`, resultPath);
+
+  return result.messages.length;
+};
+
+// Marked dialog ID of an exported chat: channels and supergroups as -100<id>
+const getMarkedId = ({ id, type }) => {
+  if (["personal_chat", "bot_chat", "saved_messages"].includes(type)) return String(id);
+  if (type === "private_group") return `-${id}`;
+  return `-100${id}`;
+};
+
+// "channel1234" -> { type: "channel", id: "1234" }
+const parseFromId = (fromId) => {
+  const match = /^([a-z]+)(\d+)$/.exec(fromId || "");
+  return match ? { type: match[1], id: match[2] } : null;
+};
+
+/**
+ * Converts Telegram Desktop text_entities back into a text and the entities
+ * of message records.
+ * @param {Array<Object>} textEntities - The text entities of an exported message.
+ * @returns {{text: string, entities: Array<Object>}} The text and its entities.
+ */
+const fromTextEntities = (textEntities = []) => {
+  const recordTypes = Object.fromEntries(
+    Object.entries(ENTITY_TYPES).map(([recordType, type]) => [type, recordType])
+  );
+
+  let text = "";
+  const entities = [];
+  textEntities.forEach((textEntity) => {
+    const type = recordTypes[textEntity.type];
+    if (type && textEntity.text.length) {
+      entities.push({
+        type,
+        offset: text.length,
+        length: textEntity.text.length,
+        url: textEntity.href,
+        userId: textEntity.user_id?.toString(),
+        language: textEntity.language || undefined,
+        documentId: textEntity.document_id?.toString(),
+      });
+    }
+    text += textEntity.text;
+  });
+
+  return { text, entities };
+};
+
+// Older exports only have `text`, a string or an array of strings and typed runs
+const getTextEntities = (exported) => {
+  if (exported.text_entities) return exported.text_entities;
+  if (typeof exported.text === "string") return [{ type: "plain", text: exported.text }];
+  return (exported.text || []).map((part) =>
+    typeof part === "string" ? { type: "plain", text: part } : part
+  );
+};
+
+// Media type of this project for an exported file
+const getImportedMediaType = (exported) => {
+  if (exported.photo) return MEDIA_TYPES.IMAGE;
+
+  const mediaTypes = {
+    sticker: MEDIA_TYPES.STICKER,
+    video_file: MEDIA_TYPES.VIDEO,
+    video_message: MEDIA_TYPES.VIDEO,
+    animation: MEDIA_TYPES.VIDEO,
+    voice_message: MEDIA_TYPES.AUDIO,
+    audio_file: MEDIA_TYPES.AUDIO,
+  };
+  if (mediaTypes[exported.media_type]) return mediaTypes[exported.media_type];
+
+  const mimeType = exported.mime_type || "";
+  if (mimeType.startsWith("image/")) return MEDIA_TYPES.IMAGE;
+  if (mimeType.startsWith("video/")) return MEDIA_TYPES.VIDEO;
+  if (mimeType.startsWith("audio/")) return MEDIA_TYPES.AUDIO;
+  return MEDIA_TYPES.DOCUMENT;
+};
+
+// Hard link a file into place, copying it when linking is not possible
+const linkOrCopy = (source, destination) => {
+  try {
+    fs.linkSync(source, destination);
+  } catch (_) {
+    fs.copyFileSync(source, destination);
+  }
+};
+
+/**
+ * Puts the media file of an exported message into the per-media-type folders
+ * of this project. A different file already using the name gets the message
+ * ID prepended.
+ * @returns {string|null} The new path, null if the export does not include the file.
+ */
+const importMediaFile = (exported, exportFolder, outputFolder, mediaType) => {
+  const relativePath = exported.photo || exported.file;
+  if (!relativePath || relativePath === FILE_NOT_INCLUDED) return null;
+
+  const source = path.join(exportFolder, relativePath);
+  if (!fs.existsSync(source)) return null;
+
+  const folder = path.join(outputFolder, mediaType);
+  if (!fs.existsSync(folder)) {
+    fs.mkdirSync(folder, { recursive: true });
+  }
+
+  let destination = path.join(folder, path.basename(relativePath));
+  if (fs.existsSync(destination) && fs.statSync(destination).size !== fs.statSync(source).size) {
+    destination = path.join(folder, `${exported.id}_${path.basename(relativePath)}`);
+  }
+  if (!fs.existsSync(destination)) {
+    linkOrCopy(source, destination);
+  }
+
+  return destination;
+};
+
+/**
+ * Converts a Telegram Desktop export message into a message record.
+ * @param {Object} exported - The exported message.
+ * @param {string|null} mediaPath - Where its media file was put, if it was included.
+ * @param {string} outputFolder - The channel export folder.
+ * @returns {Object} The message record.
+ */
+const fromTdesktopMessage = (exported, mediaPath, outputFolder) => {
+  const { text, entities } = fromTextEntities(getTextEntities(exported));
+  const from = parseFromId(exported.from_id);
+  const hasMedia = Boolean(exported.photo || exported.file);
+  const mediaType = hasMedia ? getImportedMediaType(exported) : undefined;
+
+  return {
+    schemaVersion: MESSAGE_SCHEMA_VERSION,
+    id: exported.id,
+    message: text,
+    date: Number(exported.date_unixtime) || Math.floor(Date.parse(exported.date) / 1000),
+    editDate: Number(exported.edited_unixtime) || null,
+    hasMedia,
+    sender: from?.type === "user" ? from.id : undefined,
+    from: from?.type === "user" ? from : null,
+    postAuthor: exported.author || null,
+    entities,
+    replyTo: exported.reply_to_message_id
+      ? { messageId: exported.reply_to_message_id }
+      : null,
+    forward: exported.forwarded_from !== undefined
+      ? { fromName: exported.forwarded_from }
+      : null,
+    groupedId: null,
+    views: null,
+    forwards: null,
+    reactions: (exported.reactions || []).map((r) => ({
+      emoji: r.emoji,
+      documentId: r.document_id,
+      paid: r.type === "paid" || undefined,
+      count: r.count,
+    })),
+    buttons: [],
+    mediaType,
+    mediaPath: mediaPath || undefined,
+    mediaName: mediaPath ? path.basename(mediaPath) : undefined,
+    media: hasMedia
+      ? {
+          file: mediaPath ? path.relative(outputFolder, mediaPath) : undefined,
+          originalName: exported.file_name,
+          size: exported.file_size || exported.photo_file_size,
+          mimeType: exported.mime_type || (exported.photo ? "image/jpeg" : undefined),
+          width: exported.width,
+          height: exported.height,
+          duration: exported.duration_seconds,
+        }
+      : null,
+  };
+};
+
+/**
+ * Reads a Telegram Desktop chat export (a folder holding result.json) and
+ * converts it into the channel's export folder: media files are put into the
+ * per-media-type folders and messages are appended to the message log.
+ * Service messages (joins, pins, ...) are skipped.
+ * @param {string} exportFolder - The Telegram Desktop export folder.
+ * @param {string|number} [channelId] - The marked channel ID, taken from result.json if omitted.
+ * @returns {{channelId: string, outputFolder: string, records: Array<Object>, mediaCount: number}} What was imported.
+ */
+const importTdesktopExport = (exportFolder, channelId = null) => {
+  const result = JSON.parse(
+    fs.readFileSync(path.join(exportFolder, RESULT_FILE), "utf8")
+  );
+  if (!Array.isArray(result.messages)) {
+    throw new Error("result.json holds no single chat, export the chat itself rather than all account data");
+  }
+
+  const markedId = String(channelId || getMarkedId(result));
+  const outputFolder = path.join(process.cwd(), "export", markedId);
+
+  let mediaCount = 0;
+  const records = result.messages
+    .filter((exported) => exported.type === "message")
+    .map((exported) => {
+      const mediaType = getImportedMediaType(exported);
+      const mediaPath = importMediaFile(exported, exportFolder, outputFolder, mediaType);
+      if (mediaPath) mediaCount++;
+      return fromTdesktopMessage(exported, mediaPath, outputFolder);
+    });
+
+  appendMessages(outputFolder, records);
+  return { channelId: markedId, outputFolder, records, mediaCount };
+};
+
+module.exports = {
+  TDESKTOP_FOLDERS,
+  getTdesktopFolder,
+  toTextEntities,
+  writeTdesktopExport,
+  importTdesktopExport,
+};
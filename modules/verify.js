@@ -0,0 +1,183 @@
+const fs = require("fs");
+const path = require("path");
+const { loadMessages } = require("../utils/message-log");
+const { MEDIA_TYPES } = require("../utils/helper");
+const { loadManifest, hashFile } = require("../utils/manifest");
+const { loadUploadedMessageIds } = require("../utils/upload-map");
+
+// Media types saved as a file of their own; polls, locations, contacts, venues
+// and link previews are written as small sidecar files instead
+const FILE_MEDIA_TYPES = [
+  MEDIA_TYPES.IMAGE,
+  MEDIA_TYPES.VIDEO,
+  MEDIA_TYPES.AUDIO,
+  MEDIA_TYPES.DOCUMENT,
+  MEDIA_TYPES.STICKER,
+];
+
+// "<id>_poll.json", "<id>_webpage.txt", "<id>_webpage_image.jpeg", ...
+const SIDECAR_FILE = /^\d+_(poll|location|contact|venue|webpage|webpage_image|sticker)\.[a-z]+$/;
+
+const PART_SUFFIX = ".part";
+
+// Every file below the media folders of the channel, relative to it
+const listMediaFiles = (outputFolder) => {
+  const files = [];
+  const walk = (folder) => {
+    fs.readdirSync(folder, { withFileTypes: true }).forEach((entry) => {
+      const fullPath = path.join(folder, entry.name);
+      if (entry.isDirectory()) walk(fullPath);
+      else files.push(path.relative(outputFolder, fullPath));
+    });
+  };
+
+  // Files directly in the channel folder are its logs, state and exports
+  fs.readdirSync(outputFolder, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .forEach((entry) => walk(path.join(outputFolder, entry.name)));
+  return files;
+};
+
+// The file a record points to, relative to the channel folder
+const getRecordFile = (record, outputFolder) =>
+  record.media?.file ||
+  (record.mediaPath ? path.relative(outputFolder, record.mediaPath) : null);
+
+/**
+ * Cross-checks the media files of a channel export against its message log.
+ *
+ * @param {string} outputFolder - The channel export folder.
+ * @returns {Object} The report:
+ *   - `missing`: records whose file is not on disk
+ *   - `uploadedAndRemoved`: records whose file was deleted on purpose after its upload
+ *   - `sizeMismatch`: files whose size differs from the recorded media size
+ *   - `notDownloaded`: media records without a file (skipped or failed downloads)
+ *   - `partial`: `.part` files of unfinished downloads
+ *   - `orphans`: files no record points to
+ *   - `duplicates`: `<name>_<id>.<ext>` copies of `<name>.<ext>`, created on name clashes
+ */
+const verifyArchive = (outputFolder) => {
+  const records = loadMessages(outputFolder);
+  const files = listMediaFiles(outputFolder);
+  const uploaded = loadUploadedMessageIds(outputFolder);
+  const referenced = new Set();
+  const report = {
+    messageCount: records.length,
+    fileCount: files.length,
+    checkedCount: 0,
+    missing: [],
+    uploadedAndRemoved: [],
+    sizeMismatch: [],
+    notDownloaded: [],
+    partial: [],
+    orphans: [],
+    duplicates: [],
+  };
+
+  records
+    .filter((record) => record.hasMedia && FILE_MEDIA_TYPES.includes(record.mediaType))
+    .forEach((record) => {
+      const file = getRecordFile(record, outputFolder);
+      if (!file) {
+        report.notDownloaded.push({ id: record.id, mediaType: record.mediaType });
+        return;
+      }
+
+      referenced.add(file);
+      const filePath = path.join(outputFolder, file);
+      if (!fs.existsSync(filePath)) {
+        // Uploads to a target channel delete their local files afterwards
+        if (uploaded.has(record.id)) {
+          report.uploadedAndRemoved.push({ id: record.id, file });
+        } else {
+          report.missing.push({ id: record.id, file });
+        }
+        return;
+      }
+
+      report.checkedCount++;
+      const size = fs.statSync(filePath).size;
+      if (record.media?.size && size !== record.media.size) {
+        report.sizeMismatch.push({ id: record.id, file, size, expectedSize: record.media.size });
+      }
+    });
+
+  const ids = new Set(records.map((record) => String(record.id)));
+  const fileSet = new Set(files);
+  files.forEach((file) => {
+    if (file.endsWith(PART_SUFFIX)) {
+      report.partial.push({ file, size: fs.statSync(path.join(outputFolder, file)).size });
+      return;
+    }
+
+    const ext = path.extname(file);
+    const copy = /^(.*)_(\d+)$/.exec(path.basename(file, ext));
+    const original = copy && path.join(path.dirname(file), `${copy[1]}${ext}`);
+    if (copy && ids.has(copy[2]) && fileSet.has(original)) {
+      report.duplicates.push({
+        id: Number(copy[2]),
+        file,
+        original,
+        sameSize:
+          fs.statSync(path.join(outputFolder, file)).size ===
+          fs.statSync(path.join(outputFolder, original)).size,
+      });
+    }
+
+    if (!referenced.has(file) && !SIDECAR_FILE.test(path.basename(file))) {
+      report.orphans.push({ file });
+    }
+  });
+
+  return report;
+};
+
+/**
+ * Rehashes the files listed in the checksum manifest of a channel export.
+ *
+ * @param {string} outputFolder - The channel export folder.
+ * @returns {Promise<Object>} The report:
+ *   - `checksumMismatch`: files whose SHA-256 or size changed since they were downloaded
+ *   - `removed`: listed files no longer on disk (e.g. deleted after upload)
+ *   - `unlisted`: media files not in the manifest, e.g. downloaded by older versions
+ */
+const verifyChecksums = async (outputFolder) => {
+  const manifest = loadManifest(outputFolder);
+  const report = {
+    hashedCount: 0,
+    checksumMismatch: [],
+    removed: [],
+    unlisted: listMediaFiles(outputFolder).filter(
+      (file) => !manifest.has(file) && !file.endsWith(PART_SUFFIX) &&
+        !SIDECAR_FILE.test(path.basename(file))
+    ),
+  };
+
+  for (const entry of manifest.values()) {
+    const filePath = path.join(outputFolder, entry.file);
+    if (!fs.existsSync(filePath)) {
+      report.removed.push(entry.file);
+      continue;
+    }
+
+    report.hashedCount++;
+    const size = fs.statSync(filePath).size;
+    const sha256 = await hashFile(filePath);
+    if (sha256 !== entry.sha256 || size !== entry.size) {
+      report.checksumMismatch.push({
+        id: entry.messageId,
+        file: entry.file,
+        sha256,
+        expectedSha256: entry.sha256,
+        downloadedAt: entry.downloadedAt,
+      });
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  verifyArchive,
+  verifyChecksums,
+};
@@ -0,0 +1,43 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const { compactMessages } = require("../utils/message-log");
+
+class Compact {
+  static description() {
+    return "Build all_messages.json from the message log of one or all channels";
+  }
+
+  static help() {
+    return [
+      "Options:",
+      "  --channelId=<id>  Only compact this channel (default: every channel in the export folder)",
+    ].join("\n");
+  }
+
+  async handle(options = {}) {
+    const exportPath = path.resolve(process.cwd(), "./export");
+    const channelIds = options.channelId
+      ? [String(options.channelId)]
+      : fs
+          .readdirSync(exportPath, { withFileTypes: true })
+          .filter((entry) => entry.isDirectory())
+          .map((entry) => entry.name);
+
+    for (const channelId of channelIds) {
+      const outputFolder = path.join(exportPath, channelId);
+      try {
+        const messageCount = compactMessages(outputFolder);
+        if (messageCount) {
+          logger.success(`${channelId}: wrote ${messageCount} messages to all_messages.json`);
+        } else {
+          logger.info(`${channelId}: no message log found`);
+        }
+      } catch (err) {
+        logger.error(`${channelId}: failed to compact messages: ${err.message}`);
+      }
+    }
+  }
+}
+
+module.exports = Compact;
@@ -4,25 +4,49 @@ const fs = require("fs");
 const path = require("path");
 const { initAuth } = require("../modules/auth");
 const {
+  TRANSFER_STRATEGIES,
   getMessages,
-  getMessageDetail,
-  downloadMessageMedia,
+  getMessagesAfter,
+  getSearchFilter,
+  saveMessageMedia,
+  groupAlbumMessages,
   uploadMessageToChannel,
+  uploadAlbumToChannel,
+  getSentMessageIds,
   forwardMessageToChannel,
 } = require("../modules/messages");
 const {
   getMediaType,
   getMediaPath,
+  getSavedMediaPath,
   checkFileExist,
-  appendToJSONArrayFile,
   wait,
 } = require("../utils/helper");
 const {
-  updateLastSelection,
-  getLastSelection,
+  appendMessages,
+  compactMessages,
+  loadMessageIds,
+} = require("../utils/message-log");
+const { toMessageRecord } = require("../utils/message-record");
+const { addManifestEntry, hashFile } = require("../utils/manifest");
+const { openMediaIndex, linkArchivedFile, replaceWithLink } = require("../utils/media-index");
+const { recordFailure, resolveFailure } = require("../utils/failure-queue");
+const { loadUploadMap, addUploads } = require("../utils/upload-map");
+const { parseSchedule, formatSchedule, setSchedule, enqueuePost } = require("../utils/publish-queue");
+const { exportHtmlArchive } = require("../modules/html-export");
+const { getTdesktopFolder, writeTdesktopExport } = require("../modules/tdesktop");
+const { startTakeout, finishTakeout } = require("../modules/takeout");
+const { reconcileUploads } = require("../modules/reconcile");
+const { parseFilter } = require("../utils/filter");
+const { validateMediaTemplate, renderMediaTemplate } = require("../utils/media-template");
+const { loadCaptionRules } = require("../utils/caption-rules");
+const { loadTargetSpecs } = require("../utils/upload-targets");
+const {
+  getChannelState,
+  updateChannelState,
 } = require("../utils/file-helper");
 const logger = require("../utils/logger");
-const { getDialogName, getAllDialogs } = require("../modules/dialoges");
+const { getDialogName, getAllDialogs, getChannelInfo } = require("../modules/dialoges");
 const {
   downloadOptionInput,
   selectInput,
@@ -37,6 +61,7 @@ const DOWNLOAD_DELAY = 200; // Reduced to 200ms for 30 Mbps speed
 const UPLOAD_DELAY = 300; // Reduced to 300ms for faster uploads
 const MAX_RETRIES = 3;
 const BACKOFF_BASE = 1000;
+const EXPORT_FORMATS = ["default", "tdesktop"];
 
 /**
  * Enhanced Telegram Channel Downloader with Upload Functionality
@@ -45,15 +70,34 @@ class DownloadChannel {
   constructor() {
     this.outputFolder = null;
     this.uploadMode = false;
-    this.targetChannelId = null;
+    this.syncMode = false;
+    this.takeoutMode = false;
+    this.takeout = null;
+    this.exportFormat = "default";
+    this.mediaTemplate = null;
+    this.channelInfo = null;
+    this.mediaIndex = null;
+    this.noforwards = false;
+    this.sourceUsername = null;
+    this.targets = [];
     this.downloadableFiles = null;
+    this.filter = null;
+    this.search = null;
+    this.searchKey = null;
     this.requestCount = 0;
     this.lastRequestTime = 0;
     this.totalDownloaded = 0;
+    this.totalLinked = 0;
     this.totalUploaded = 0;
+    this.totalQueued = 0;
     this.totalMessages = 0;
     this.totalProcessedMessages = 0;
     this.skippedFiles = 0;
+    this.checkpointedTotals = { downloaded: 0, uploaded: 0 };
+    this.mediaPaths = new Map();
+    this.loggedMessageIds = null;
+    this.downloadingPaths = new Set();
+    this.uploadMaps = new Map();
 
     const exportPath = path.resolve(process.cwd(), "./export");
     if (!fs.existsSync(exportPath)) {
@@ -65,6 +109,26 @@ class DownloadChannel {
     return "Download all messages from a channel with optional upload to another channel";
   }
 
+  static help() {
+    return [
+      "Options:",
+      "  --channelId=<id>        Source channel (skips the interactive selection)",
+      "  --targetChannelId=<id>  Upload to this channel (with --channelId, no prompt is shown)",
+      "  --targets=<file>        Upload to every channel in this JSON file, each with its own filter, transfer, captionRules and schedule",
+      "  --sync                  Only fetch messages newer than the newest one seen in a previous run",
+      "  --reconcile             Rebuild the upload ledger from the posts in the target channels before uploading",
+      "  --captionRules=<file>   Rewrite captions of uploaded messages with the rules in this JSON file",
+      `  --transfer=<strategy>   How uploads copy media: ${TRANSFER_STRATEGIES.join(", ")} (default: reupload)`,
+      '  --schedule="<rate>"     Queue uploads instead and let publish-queue --run post them, e.g. --schedule="12/h 08:00-22:00"',
+      "  --takeout               Fetch history and files through a takeout session (more lenient flood limits)",
+      "  --format=tdesktop       Save media in Telegram Desktop's folders and write result.json",
+      '  --template="<path>"     Where to save media below the channel folder, e.g. --template="{date:YYYY}/{date:MM}/{id}_{original_name}.{ext}"',
+      '  --filter="<expr>"       Only process matching messages, e.g. --filter="type:video AND size>50MB"',
+      "  --types=<list>          Only download these media types or extensions, e.g. --types=video,pdf",
+      '  --search="<text>"       Only fetch messages containing this text (server-side search)',
+    ].join("\n");
+  }
+
   /**
    * Rate limiting with exponential backoff
    */
@@ -131,11 +195,105 @@ class DownloadChannel {
     );
   }
 
+  /**
+   * Options for getMediaPath/checkFileExist matching the export format and media template
+   */
+  getMediaPathOptions(message) {
+    const folderName = this.exportFormat === "tdesktop" ? getTdesktopFolder(message) : undefined;
+    if (this.mediaTemplate) {
+      return {
+        relativePath: renderMediaTemplate(this.mediaTemplate, message, {
+          channel: this.channelInfo,
+          folderName,
+        }),
+      };
+    }
+    return folderName ? { folderName } : {};
+  }
+
+  /**
+   * Save media according to a path template, looking up the channel names it may use
+   */
+  async setMediaTemplate(client, channelId, template) {
+    validateMediaTemplate(template);
+    this.mediaTemplate = template;
+    this.channelInfo = await getChannelInfo(client, channelId);
+  }
+
+  /**
+   * Turn a target spec, from --targets or the single target options, into an
+   * upload target. Sources with content protection only allow reuploading.
+   */
+  buildTarget(spec, sourceUsername) {
+    const transfer = spec.transfer || "reupload";
+    if (!TRANSFER_STRATEGIES.includes(transfer)) {
+      throw new Error(`Unknown transfer strategy "${transfer}", use one of: ${TRANSFER_STRATEGIES.join(", ")}`);
+    }
+    return {
+      channelId: Number(spec.channelId),
+      filter: spec.filter ? parseFilter(spec.filter) : null,
+      transfer: this.noforwards ? "reupload" : transfer,
+      captionRules: spec.captionRules ? loadCaptionRules(spec.captionRules, { sourceUsername }) : null,
+      schedule: spec.schedule ? parseSchedule(spec.schedule) : null,
+    };
+  }
+
+  /**
+   * Set up the channels uploads go to, each with its own filter, transfer strategy and caption rules
+   */
+  async setTargets(client, channelId, specs) {
+    const { username, noforwards } = await getChannelInfo(client, channelId);
+    this.noforwards = noforwards;
+    const forwarding = specs.filter((spec) => spec.transfer && spec.transfer !== "reupload");
+    if (noforwards && forwarding.length) {
+      logger.warn(`⚠️  The source channel forbids forwarding, switching ${forwarding.map((spec) => spec.channelId).join(", ")} to reupload`);
+    } else if (noforwards) {
+      logger.info("🔒 The source channel forbids forwarding, media is downloaded and uploaded again");
+    }
+    this.sourceUsername = username;
+    this.targets = specs.map((spec) => this.buildTarget(spec, username));
+  }
+
+  /**
+   * The upload target for a channel, with the default settings if it is not configured
+   */
+  getTarget(targetChannelId) {
+    return (
+      this.targets.find((target) => String(target.channelId) === String(targetChannelId)) ||
+      this.buildTarget({ channelId: targetChannelId }, this.sourceUsername)
+    );
+  }
+
+  /**
+   * Save and upload the messages of a channel the way its last download-channel
+   * run did, for commands that pick up work that run left behind. Posts are
+   * uploaded right away, whatever schedule that run had.
+   */
+  async useLastRunOptions(client, channelId, outputFolder) {
+    const { lastRunOptions = {} } = getChannelState(channelId);
+    this.outputFolder = outputFolder;
+    this.exportFormat = lastRunOptions.format || "default";
+    if (lastRunOptions.template) {
+      await this.setMediaTemplate(client, Number(channelId), lastRunOptions.template);
+    }
+
+    // Runs before --targets kept the options of their single target
+    const specs = lastRunOptions.targets || (lastRunOptions.targetChannelId
+      ? [{
+          channelId: lastRunOptions.targetChannelId,
+          transfer: lastRunOptions.transfer,
+          captionRules: lastRunOptions.captionRules,
+        }]
+      : []);
+    await this.setTargets(client, Number(channelId), specs.map(({ schedule, ...spec }) => spec));
+  }
+
   /**
    * Determines if a message should be processed
    */
   shouldProcess(message) {
     if (!this.hasContent(message)) return false;
+    if (this.filter && !this.filter(message)) return false;
     
     // Always process text messages
     if (message.message && !message.media) return true;
@@ -143,77 +301,312 @@ class DownloadChannel {
     // For media messages, check if we want to download this type
     if (message.media) {
       const mediaType = getMediaType(message);
-      const mediaPath = getMediaPath(message, this.outputFolder);
+      const mediaPath = getSavedMediaPath(message, this.outputFolder, this.getMediaPathOptions(message));
       const extension = path.extname(mediaPath).toLowerCase().replace(".", "");
       
+      const voice = message.media.document?.attributes?.some(
+        (a) => a.className === "DocumentAttributeAudio" && a.voice
+      );
+      
       return this.downloadableFiles?.[mediaType] ||
              this.downloadableFiles?.[extension] ||
+             (voice && this.downloadableFiles?.voice) ||
              this.downloadableFiles?.all;
     }
     
     return true;
   }
 
+  /**
+   * Content index of all channel archives, opened on first use
+   */
+  getMediaIndex() {
+    if (!this.mediaIndex) {
+      this.mediaIndex = openMediaIndex(path.dirname(this.outputFolder));
+    }
+    return this.mediaIndex;
+  }
+
   /**
    * Download media from message
+   * Media already archived for another message or channel is linked instead of downloaded again
    */
   async downloadMessage(client, message) {
     try {
       if (!message.media) return null;
       
-      const mediaPath = getMediaPath(message, this.outputFolder);
-      const fileExists = checkFileExist(message, this.outputFolder);
+      const mediaIndex = this.getMediaIndex();
+      const mediaPathOptions = { ...this.getMediaPathOptions(message), mediaIndex };
+      const fileExists = checkFileExist(message, this.outputFolder, mediaPathOptions);
       
       if (fileExists) {
-        logger.info(`⏭️  File already exists: ${path.basename(mediaPath)}`);
-        return mediaPath;
+        const savedPath = getSavedMediaPath(message, this.outputFolder, mediaPathOptions);
+        if (fs.existsSync(savedPath)) {
+          logger.info(`⏭️  File already exists: ${path.basename(savedPath)}`);
+          resolveFailure(this.outputFolder, message.id, "download");
+          return savedPath;
+        }
+
+        const archivedPath = mediaIndex.find(message);
+        const linkedPath = linkArchivedFile(
+          archivedPath,
+          getMediaPath(message, this.outputFolder, mediaPathOptions)
+        );
+        this.totalLinked++;
+        if (linkedPath === archivedPath) {
+          logger.info(`🔗 Already archived, referencing: ${archivedPath}`);
+        } else {
+          logger.info(`🔗 Already archived, linked: ${path.basename(linkedPath)}`);
+          await this.addToManifest(message, linkedPath);
+        }
+        resolveFailure(this.outputFolder, message.id, "download");
+        return linkedPath;
       }
 
-      const result = await downloadMessageMedia(client, message, mediaPath);
-      if (result) {
-        this.totalDownloaded++;
-        logger.info(`✅ Downloaded: ${path.basename(mediaPath)}`);
-        return mediaPath;
+      // Messages of a batch download in parallel, two files of the same name must not share a path
+      const mediaPath = getMediaPath(message, this.outputFolder, {
+        ...mediaPathOptions,
+        reservedPaths: this.downloadingPaths,
+      });
+
+      this.downloadingPaths.add(mediaPath);
+      try {
+        const result = await saveMessageMedia(client, message, mediaPath);
+        if (result) {
+          this.totalDownloaded++;
+          logger.info(`✅ Downloaded: ${path.basename(mediaPath)}`);
+          await this.addToManifest(message, mediaPath, true);
+          resolveFailure(this.outputFolder, message.id, "download");
+          return mediaPath;
+        }
+      } finally {
+        this.downloadingPaths.delete(mediaPath);
       }
     } catch (error) {
       logger.error(`❌ Download failed for message ${message.id}: ${error.message}`);
+      recordFailure(this.outputFolder, message.id, "download", error.message);
     }
     return null;
   }
 
   /**
-   * Upload message to target channel
+   * Add a downloaded file to the checksum manifest of the channel and the content index
+   * With deduplicate, a file identical to an archived one is replaced by a hard link to it
    */
-  async uploadMessage(client, message, mediaPath = null) {
-    try {
-      if (!this.uploadMode || !this.targetChannelId) return false;
+  async addToManifest(message, mediaPath, deduplicate = false) {
+    // Polls, locations and link previews are saved as sidecar files, not at mediaPath
+    if (!fs.existsSync(mediaPath)) return;
 
-      const result = await uploadMessageToChannel(
-        client,
-        this.targetChannelId,
-        message,
-        mediaPath
-      );
+    try {
+      const mediaIndex = this.getMediaIndex();
+      const sha256 = await hashFile(mediaPath);
+      const entry = await addManifestEntry(this.outputFolder, message, mediaPath, sha256);
 
-      if (result) {
-        this.totalUploaded++;
-        logger.info(`📤 Uploaded message ${message.id} to target channel`);
-        
-        // Clean up local file after successful upload
-        if (mediaPath && fs.existsSync(mediaPath)) {
-          try {
-            fs.unlinkSync(mediaPath);
-            logger.info(`🗑️  Cleaned up local file: ${path.basename(mediaPath)}`);
-          } catch (cleanupError) {
-            logger.warn(`⚠️  Could not delete local file: ${cleanupError.message}`);
-          }
-        }
-        return true;
+      const archivedPath = deduplicate && mediaIndex.findContent(entry, mediaPath);
+      if (archivedPath && replaceWithLink(archivedPath, mediaPath)) {
+        logger.info(`🔗 Same file as ${path.relative(path.dirname(this.outputFolder), archivedPath)}, replaced by a link`);
       }
+      mediaIndex.add(entry, mediaPath);
+    } catch (error) {
+      logger.warn(`⚠️  Could not add ${path.basename(mediaPath)} to the manifest: ${error.message}`);
+    }
+  }
+
+  /**
+   * Target message IDs by source message ID for a target channel, loaded on first use
+   */
+  getUploadMap(target) {
+    if (!this.uploadMaps.has(target.channelId)) {
+      this.uploadMaps.set(target.channelId, loadUploadMap(this.outputFolder, target.channelId));
+    }
+    return this.uploadMaps.get(target.channelId);
+  }
+
+  /**
+   * The copy of the message a source message replied to, if it was uploaded to the target channel
+   */
+  getReplyTarget(target, message) {
+    const replyToId = message.replyTo?.replyToMsgId;
+    // Replies to messages of other chats cannot be linked in the target
+    if (!replyToId || message.replyTo.replyToPeerId) return undefined;
+
+    const targetMessageId = this.getUploadMap(target).get(replyToId);
+    if (!targetMessageId) {
+      logger.info(`↩️  Message ${message.id} replies to ${replyToId}, which was not uploaded to ${target.channelId}, sending it without reply`);
+    }
+    return targetMessageId;
+  }
+
+  /**
+   * Remember which target messages the source messages were copied to
+   */
+  recordUploads(target, messages, result) {
+    const targetMessageIds = getSentMessageIds(result);
+    const uploads = messages
+      .map((message, index) => [message.id, targetMessageIds[index]])
+      .filter(([, targetMessageId]) => targetMessageId);
+
+    addUploads(this.outputFolder, target.channelId, uploads);
+    uploads.forEach(([messageId, targetMessageId]) =>
+      this.getUploadMap(target).set(messageId, targetMessageId)
+    );
+  }
+
+  /**
+   * Whether the message was already copied to the target channel, e.g. before a restart
+   */
+  isUploaded(target, message) {
+    const targetMessageId = this.getUploadMap(target).get(message.id);
+    if (!targetMessageId) return false;
+
+    logger.info(`⏭️  Message ${message.id} already uploaded to ${target.channelId} as ${targetMessageId}`);
+    resolveFailure(this.outputFolder, message.id, "upload", target.channelId);
+    return true;
+  }
+
+  /**
+   * Hold a post back for the publishing queue instead of uploading it now.
+   * The media files stay on disk until publish-queue uploads the post.
+   */
+  async queuePost(target, messages) {
+    const exportPath = path.resolve(process.cwd(), "./export");
+    const sourceChannelId = Number(path.basename(this.outputFolder));
+    const messageIds = messages.map((message) => message.id);
+    const job = await enqueuePost(exportPath, sourceChannelId, target.channelId, messageIds);
+    const label = `Message${messageIds.length > 1 ? "s" : ""} ${messageIds.join(", ")}`;
+    if (job) {
+      this.totalQueued++;
+      logger.info(`🗓️  ${label} queued for publishing to ${target.channelId} (job ${job.id})`);
+    } else {
+      logger.info(`🗓️  ${label} already queued for publishing to ${target.channelId}`);
+    }
+    return "queued";
+  }
+
+  /**
+   * Copy a message to one target channel
+   * @returns {Promise<string>} uploaded, uploaded-before, queued, failed, filtered or skipped
+   */
+  async uploadMessageTo(client, target, message, mediaPath) {
+    if (target.filter && !target.filter(message)) return "filtered";
+    if (this.isUploaded(target, message)) return "uploaded-before";
+    if (target.schedule) return this.queuePost(target, [message]);
+
+    try {
+      const result = await uploadMessageToChannel(client, target.channelId, message, mediaPath, {
+        replyTo: this.getReplyTarget(target, message),
+        captionRules: target.captionRules,
+        transfer: target.transfer,
+        noforwards: this.noforwards,
+      });
+      if (!result) return "skipped";
+
+      this.recordUploads(target, [message], result);
+      this.totalUploaded++;
+      logger.info(`📤 Uploaded message ${message.id} to ${target.channelId}`);
+      resolveFailure(this.outputFolder, message.id, "upload", target.channelId);
+      return "uploaded";
+    } catch (error) {
+      logger.error(`❌ Upload of message ${message.id} to ${target.channelId} failed: ${error.message}`);
+      recordFailure(this.outputFolder, message.id, "upload", error.message, {
+        targetChannelId: target.channelId,
+      });
+      return "failed";
+    }
+  }
+
+  /**
+   * Upload message to the target channels, unless their upload ledger has it already
+   * The media is downloaded once and shared by all targets
+   */
+  async uploadMessage(client, message, mediaPath = null, targets = this.targets) {
+    if (!this.uploadMode) return false;
+    if (this.filter && !this.filter(message)) return false;
+
+    const statuses = [];
+    for (const target of targets) {
+      statuses.push(await this.uploadMessageTo(client, target, message, mediaPath));
+    }
+    this.cleanUpAfterUploads(statuses, [mediaPath]);
+    return statuses.includes("uploaded");
+  }
+
+  /**
+   * Copy the members of an album to one target channel as one media group
+   * Members the target filter rejects or the upload ledger has already are left out
+   * @returns {Promise<string>} uploaded, uploaded-before, queued, failed, filtered or skipped
+   */
+  async uploadAlbumTo(client, target, albumMessages, mediaPaths) {
+    const wanted = target.filter ? albumMessages.filter(target.filter) : albumMessages;
+    if (!wanted.length) return "filtered";
+    const messages = wanted.filter((message) => !this.isUploaded(target, message));
+    if (!messages.length) return "uploaded-before";
+    if (target.schedule) return this.queuePost(target, messages);
+
+    try {
+      const replied = messages.find((message) => message.replyTo);
+      const result = await uploadAlbumToChannel(client, target.channelId, messages, mediaPaths, {
+        replyTo: replied && this.getReplyTarget(target, replied),
+        captionRules: target.captionRules,
+        transfer: target.transfer,
+        noforwards: this.noforwards,
+      });
+      if (!result) return "skipped";
+
+      this.recordUploads(target, messages, result);
+      this.totalUploaded += messages.length;
+      logger.info(`📤 Uploaded album ${messages[0].groupedId} (${messages.length} items) to ${target.channelId}`);
+      messages.forEach((message) => resolveFailure(this.outputFolder, message.id, "upload", target.channelId));
+      return "uploaded";
     } catch (error) {
-      logger.error(`❌ Upload failed for message ${message.id}: ${error.message}`);
+      logger.error(`❌ Upload of album ${messages[0].groupedId} to ${target.channelId} failed: ${error.message}`);
+      messages.forEach((message) => {
+        recordFailure(this.outputFolder, message.id, "upload", error.message, {
+          targetChannelId: target.channelId,
+        });
+      });
+      return "failed";
+    }
+  }
+
+  /**
+   * Upload the members of an album to the target channels as one media group each
+   */
+  async uploadAlbum(client, albumMessages, mediaPaths, targets = this.targets) {
+    if (!this.uploadMode) return false;
+
+    const statuses = [];
+    for (const target of targets) {
+      statuses.push(await this.uploadAlbumTo(client, target, albumMessages, mediaPaths));
+    }
+    this.cleanUpAfterUploads(statuses, albumMessages.map((message) => mediaPaths.get(message.id)));
+    return statuses.includes("uploaded");
+  }
+
+  /**
+   * Delete the files of a post once every target channel that wants it has it.
+   * Files of posts queued for publishing or failed for a target are kept for
+   * publish-queue and retry-failed.
+   */
+  cleanUpAfterUploads(statuses, mediaPaths) {
+    const copied = statuses.some((status) => status === "uploaded" || status === "uploaded-before");
+    if (!copied || statuses.some((status) => status === "queued" || status === "failed")) return;
+    mediaPaths.forEach((mediaPath) => this.cleanUpUploadedFile(mediaPath));
+  }
+
+  /**
+   * Clean up local file after successful upload, never the archived copy of another channel
+   */
+  cleanUpUploadedFile(mediaPath) {
+    if (!mediaPath || !fs.existsSync(mediaPath) || path.relative(this.outputFolder, mediaPath).startsWith("..")) {
+      return;
+    }
+    try {
+      fs.unlinkSync(mediaPath);
+      logger.info(`🗑️  Cleaned up local file: ${path.basename(mediaPath)}`);
+    } catch (cleanupError) {
+      logger.warn(`⚠️  Could not delete local file: ${cleanupError.message}`);
     }
-    return false;
   }
 
   /**
@@ -247,6 +640,10 @@ class DownloadChannel {
         await this.wait(DOWNLOAD_DELAY);
       }
       
+      if (mediaPath) {
+        this.mediaPaths.set(message.id, mediaPath);
+      }
+
       // Always upload if upload mode is enabled and message has content
       if (this.uploadMode && hasContent) {
         const uploadSuccess = await this.uploadMessage(client, message, mediaPath);
@@ -269,31 +666,137 @@ class DownloadChannel {
   }
 
   /**
-   * Record all messages to JSON file
+   * Process the members of an album together: download all of them, then
+   * upload them as a single media group
+   */
+  async processAlbum(client, messages, index, total) {
+    try {
+      logger.info(
+        `🔄 Processing album ${messages[0].groupedId}: messages ${messages.map((msg) => msg.id).join(", ")} (${index + 1}/${total})`
+      );
+
+      const mediaPaths = new Map();
+      for (const message of messages) {
+        const mediaPath = await this.downloadMessage(client, message);
+        if (mediaPath) {
+          mediaPaths.set(message.id, mediaPath);
+          this.mediaPaths.set(message.id, mediaPath);
+        }
+        await this.wait(DOWNLOAD_DELAY);
+      }
+
+      if (this.uploadMode) {
+        const uploadSuccess = await this.uploadAlbum(client, messages, mediaPaths);
+        if (uploadSuccess) {
+          logger.info(`✅ Album ${messages[0].groupedId} uploaded with preserved caption`);
+        }
+        await this.wait(UPLOAD_DELAY);
+      }
+
+      this.totalProcessedMessages += messages.length;
+    } catch (error) {
+      logger.error(`❌ Error processing album ${messages[0].groupedId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Process a single message or the members of an album
+   */
+  async processGroup(client, messages, index, total) {
+    return messages.length > 1
+      ? this.processAlbum(client, messages, index, total)
+      : this.processMessage(client, messages[0], index, total);
+  }
+
+  /**
+   * An album at the end of a full batch may continue in the next one. Its
+   * members are left to the next batch, so albums are always processed and
+   * logged together.
+   */
+  withoutSplitAlbum(messages) {
+    const albumId = messages[messages.length - 1]?.groupedId?.toString();
+    if (messages.length < MESSAGE_LIMIT || !albumId) return messages;
+
+    const complete = messages.filter((msg) => msg.groupedId?.toString() !== albumId);
+    return complete.length ? complete : messages;
+  }
+
+  /**
+   * Record all messages to the channel's message log
    */
   recordMessages(messages) {
-    const filePath = path.join(this.outputFolder, "all_messages.json");
-    if (!fs.existsSync(this.outputFolder)) {
-      fs.mkdirSync(this.outputFolder, { recursive: true });
-    }
-
-    const data = messages.map((msg) => ({
-      id: msg.id,
-      message: msg.message || "",
-      date: msg.date,
-      out: msg.out,
-      hasMedia: !!msg.media,
-      sender: msg.fromId?.userId || msg.peerId?.userId,
-      mediaType: this.hasContent(msg) ? getMediaType(msg) : undefined,
-      mediaPath: this.hasContent(msg) && msg.media
-        ? getMediaPath(msg, this.outputFolder)
-        : undefined,
-      mediaName: this.hasContent(msg) && msg.media
-        ? path.basename(getMediaPath(msg, this.outputFolder))
-        : undefined,
-    }));
-    
-    appendToJSONArrayFile(filePath, data);
+    const data = messages.map((msg) =>
+      toMessageRecord(msg, this.outputFolder, this.mediaPaths.get(msg.id))
+    );
+    messages.forEach((msg) => this.mediaPaths.delete(msg.id));
+
+    appendMessages(this.outputFolder, data);
+    const loggedIds = this.getLoggedMessageIds();
+    messages.forEach((msg) => loggedIds.add(msg.id));
+  }
+
+  /**
+   * IDs of the messages in the message log of the channel, loaded on first use
+   */
+  getLoggedMessageIds() {
+    if (!this.loggedMessageIds) {
+      this.loggedMessageIds = loadMessageIds(this.outputFolder);
+    }
+    return this.loggedMessageIds;
+  }
+
+  /**
+   * The resume cursor of this run. Searches keep one cursor per search key,
+   * so a filtered run never moves the cursor of the full history.
+   */
+  getCursor(state) {
+    return this.searchKey ? state.searches?.[this.searchKey] || {} : state;
+  }
+
+  /**
+   * State update moving the resume cursor of this run
+   */
+  cursorUpdate(state, cursor) {
+    if (!this.searchKey) return cursor;
+
+    const searches = state.searches || {};
+    return {
+      searches: {
+        ...searches,
+        [this.searchKey]: { ...searches[this.searchKey], ...cursor },
+      },
+    };
+  }
+
+  /**
+   * Save the channel checkpoint after a batch so the next run resumes from it
+   * Without moveCursor only the counters move, for messages that may leave a gap behind the cursor
+   */
+  saveCheckpoint(channelId, messages, moveCursor = true) {
+    const ids = messages.map((m) => m.id);
+    const state = getChannelState(channelId);
+    const cursor = this.getCursor(state);
+
+    updateChannelState(channelId, {
+      ...(moveCursor
+        ? this.cursorUpdate(state, {
+            oldestMessageId: Math.min(cursor.oldestMessageId || Infinity, ...ids),
+            newestMessageId: Math.max(cursor.newestMessageId || 0, ...ids),
+          })
+        : {}),
+      // Counted from the log, so messages fetched again are not counted twice
+      messageCount: this.getLoggedMessageIds().size,
+      downloadedCount: (state.downloadedCount || 0) +
+        this.totalDownloaded - this.checkpointedTotals.downloaded,
+      uploadedCount: (state.uploadedCount || 0) +
+        this.totalUploaded - this.checkpointedTotals.uploaded,
+      lastRunAt: new Date().toISOString(),
+    });
+
+    this.checkpointedTotals = {
+      downloaded: this.totalDownloaded,
+      uploaded: this.totalUploaded,
+    };
   }
 
   /**
@@ -308,9 +811,15 @@ class DownloadChannel {
     logger.info("📊 PROCESSING PROGRESS REPORT");
     logger.info("=".repeat(60));
     logger.info(`📥 Total Downloaded: ${this.totalDownloaded} files`);
+    if (this.totalLinked) {
+      logger.info(`🔗 Already archived: ${this.totalLinked} files`);
+    }
     if (this.uploadMode) {
       logger.info(`📤 Total Uploaded: ${this.totalUploaded} messages`);
     }
+    if (this.totalQueued) {
+      logger.info(`🗓️  Queued for publishing: ${this.totalQueued} posts`);
+    }
     logger.info(`📈 Progress: ${progressPercentage}% (${this.totalProcessedMessages}/${this.totalMessages})`);
     logger.info(`📦 Current batch: ${currentBatch} messages processed`);
     logger.info("=".repeat(60));
@@ -318,6 +827,7 @@ class DownloadChannel {
 
   /**
    * Main download and upload function
+   * Walks backwards from offsetMsgId, or forwards from it in sync mode
    */
   async downloadChannel(client, channelId, offsetMsgId = 0) {
     try {
@@ -327,35 +837,49 @@ class DownloadChannel {
         channelId.toString()
       );
 
-      // Get messages with rate limiting
-      const messages = await this.retryWithBackoff(async () => {
-        return await getMessages(client, channelId, MESSAGE_LIMIT, offsetMsgId);
+      // Get messages with rate limiting, through search when it narrows them down
+      const search = this.search || {};
+      const fetched = await this.retryWithBackoff(async () => {
+        return this.syncMode
+          ? await getMessagesAfter(client, channelId, MESSAGE_LIMIT, offsetMsgId, search)
+          : await getMessages(client, channelId, MESSAGE_LIMIT, offsetMsgId, search);
       });
 
-      if (!messages.length) {
+      if (!fetched.length) {
+        if (!this.syncMode) {
+          const state = getChannelState(channelId);
+          updateChannelState(channelId, this.cursorUpdate(state, { historyComplete: true }));
+        }
         logger.info("🎉 Processing completed! No more messages to process.");
+        const messageCount = compactMessages(this.outputFolder);
+        logger.info(`🗂️  Wrote ${messageCount} messages to all_messages.json`);
+        if (messageCount) {
+          await exportHtmlArchive(this.outputFolder, channelId);
+          logger.info(`🌐 HTML archive: ${path.join(this.outputFolder, "messages.html")}`);
+        }
+        if (messageCount && this.exportFormat === "tdesktop") {
+          writeTdesktopExport(this.outputFolder, channelId);
+          logger.info(`🗂️  Telegram Desktop export: ${path.join(this.outputFolder, "result.json")}`);
+        }
         this.showProgress(0);
         return;
       }
 
-      // Get detailed message information
-      const ids = messages.map((m) => m.id);
-      const details = await this.retryWithBackoff(async () => {
-        return await getMessageDetail(client, channelId, ids);
-      });
+      const messages = this.withoutSplitAlbum(fetched);
 
       // Filter messages that should be processed
-      const messagesToProcess = details.filter(msg => this.shouldProcess(msg));
+      const messagesToProcess = messages.filter(msg => this.shouldProcess(msg));
+      const groups = groupAlbumMessages(messagesToProcess);
       
-      logger.info(`📋 Found ${messagesToProcess.length} messages to process out of ${details.length} total`);
+      logger.info(`📋 Found ${messagesToProcess.length} messages to process out of ${messages.length} total`);
 
-      // Process messages in parallel batches of 5
+      // Process messages and albums in parallel batches of 5
       const processPromises = [];
-      for (let i = 0; i < messagesToProcess.length; i += MAX_PARALLEL_PROCESS) {
-        const batch = messagesToProcess.slice(i, i + MAX_PARALLEL_PROCESS);
+      for (let i = 0; i < groups.length; i += MAX_PARALLEL_PROCESS) {
+        const batch = groups.slice(i, i + MAX_PARALLEL_PROCESS);
         
-        const batchPromises = batch.map((msg, index) => 
-          this.processMessage(client, msg, i + index, messagesToProcess.length)
+        const batchPromises = batch.map((group, index) => 
+          this.processGroup(client, group, i + index, groups.length)
         );
         
         processPromises.push(Promise.all(batchPromises));
@@ -372,12 +896,10 @@ class DownloadChannel {
       }
 
       // Record all messages
-      this.recordMessages(details);
+      this.recordMessages(messages);
       
-      // Update selection for next batch
-      updateLastSelection({
-        messageOffsetId: messages[messages.length - 1].id,
-      });
+      // Save checkpoint for next batch
+      this.saveCheckpoint(channelId, messages);
 
       // Show progress
       this.showProgress(messagesToProcess.length);
@@ -409,8 +931,34 @@ class DownloadChannel {
    * Configure download and upload options
    */
   async configureDownload(options, client) {
-    let channelId = options.channelId;
-    let downloadableFiles = options.downloadableFiles;
+    let channelId = options.channelId ? Number(options.channelId) : null;
+    let downloadableFiles = options.types
+      ? Object.fromEntries(
+          String(options.types)
+            .split(",")
+            .map((type) => [type.trim().replace(".", "").toLowerCase(), true])
+            .filter(([type]) => type)
+        )
+      : options.downloadableFiles;
+    this.syncMode = Boolean(options.sync);
+    this.takeoutMode = Boolean(options.takeout);
+    this.exportFormat = options.format || "default";
+    this.filter = options.filter ? parseFilter(options.filter) : null;
+    if (options.template) validateMediaTemplate(options.template);
+    if (options.targets && options.targetChannelId) {
+      throw new Error("Use either --targets or --targetChannelId, not both");
+    }
+    // The single target options, used with --targetChannelId or the target picked interactively
+    const targetOptions = {
+      transfer: options.transfer || null,
+      captionRules: options.captionRules ? path.resolve(options.captionRules) : null,
+      schedule: options.schedule || null,
+    };
+    const targetSpecs = options.targets ? loadTargetSpecs(options.targets) : [];
+    [...targetSpecs, targetOptions].forEach((spec) => this.buildTarget(spec));
+    if (!EXPORT_FORMATS.includes(this.exportFormat)) {
+      throw new Error(`Unknown export format "${this.exportFormat}", use one of: ${EXPORT_FORMATS.join(", ")}`);
+    }
     
     // Select source channel
     if (!channelId) {
@@ -427,27 +975,39 @@ class DownloadChannel {
       );
     }
 
-    // Ask for upload mode
-    this.uploadMode = await booleanInput(
-      "Do you want to upload messages to another channel? (No = save locally only)"
-    );
+    // Ask for upload mode, unless the run was fully specified on the command line
+    if (targetSpecs.length) {
+      this.uploadMode = true;
+    } else if (options.targetChannelId) {
+      this.uploadMode = true;
+      targetSpecs.push({ channelId: Number(options.targetChannelId), filter: null, ...targetOptions });
+    } else if (options.channelId) {
+      this.uploadMode = false;
+    } else {
+      this.uploadMode = await booleanInput(
+        "Do you want to upload messages to another channel? (No = save locally only)"
+      );
+    }
 
-    if (this.uploadMode) {
+    if (this.uploadMode && !targetSpecs.length) {
       logger.info("Please select target channel for upload");
       const allChannels = await getAllDialogs(client);
-      const targetOptions = allChannels
+      const targetChoices = allChannels
         .filter(d => d.id !== channelId) // Exclude source channel
         .map((d) => ({
           name: d.name,
           value: d.id,
         }));
 
-      this.targetChannelId = await selectInput(
+      const targetChannelId = await selectInput(
         "Please select target channel for upload",
-        targetOptions
+        targetChoices
       );
-      
-      logger.info(`📤 Upload mode enabled. Target channel: ${this.targetChannelId}`);
+      targetSpecs.push({ channelId: targetChannelId, filter: null, ...targetOptions });
+    }
+
+    if (this.uploadMode) {
+      logger.info(`📤 Upload mode enabled. Target channels: ${targetSpecs.map((spec) => spec.channelId).join(", ")}`);
     } else {
       logger.info("💾 Local storage mode enabled. Files will be saved locally only.");
     }
@@ -474,15 +1034,83 @@ class DownloadChannel {
 
     this.downloadableFiles = downloadableFiles;
 
-    const lastSelection = getLastSelection();
-    let messageOffsetId = lastSelection.messageOffsetId || 0;
+    if (options.template) {
+      await this.setMediaTemplate(client, channelId, options.template);
+    }
 
-    if (Number(lastSelection.channelId) !== Number(channelId)) {
-      messageOffsetId = 0;
+    // Let Telegram do the filtering when the selection maps to a search filter or a text query is given
+    const searchFilter = getSearchFilter(
+      Object.keys(downloadableFiles).filter((type) => downloadableFiles[type])
+    );
+    const query = options.search ? String(options.search) : "";
+    if (searchFilter || query) {
+      this.search = { query: query || undefined, filter: searchFilter || undefined };
+      this.searchKey = [
+        searchFilter ? searchFilter.className.replace("InputMessagesFilter", "").toLowerCase() : "all",
+        query,
+      ].join("|");
+      logger.info(`🔎 Fetching through search: ${this.searchKey}`);
+    }
+
+    const { oldestMessageId = 0, newestMessageId = 0 } = this.getCursor(getChannelState(channelId));
+    updateChannelState(channelId, {
+      lastRunAt: new Date().toISOString(),
+      lastRunOptions: {
+        sync: this.syncMode,
+        takeout: this.takeoutMode,
+        format: this.exportFormat,
+        template: this.mediaTemplate,
+        filter: options.filter || null,
+        search: query || null,
+        uploadMode: this.uploadMode,
+        targets: targetSpecs,
+        downloadableFiles: this.downloadableFiles,
+      },
+    });
+
+    if (this.uploadMode) {
+      await this.setTargets(client, channelId, targetSpecs);
+    }
+
+    if (options.reconcile && this.uploadMode) {
+      await this.reconcile(client, channelId);
+    }
+
+    for (const target of this.targets.filter((target) => target.schedule)) {
+      await setSchedule(path.resolve(process.cwd(), "./export"), target.channelId, target.schedule);
+      logger.info(`🗓️  Uploads to ${target.channelId} are queued and published at ${formatSchedule(target.schedule)}, run publish-queue --run to publish them`);
+    }
+
+    if (this.syncMode) {
+      logger.info(
+        newestMessageId
+          ? `🔁 Sync mode: fetching messages newer than ${newestMessageId}`
+          : "🔁 Sync mode: no previous run found, fetching the whole history oldest first"
+      );
+      return { channelId, messageOffsetId: newestMessageId };
+    }
+
+    if (oldestMessageId) {
+      logger.info(`⏯️  Resuming from message ${oldestMessageId}`);
+    }
+    return { channelId, messageOffsetId: oldestMessageId };
+  }
+
+  /**
+   * Rebuild the upload ledger of the source channel from the posts in every target channel
+   */
+  async reconcile(client, channelId) {
+    const outputFolder = path.join(process.cwd(), "export", channelId.toString());
+    for (const target of this.targets) {
+      logger.info(`🧾 Reconciling the upload ledger with target channel ${target.channelId}...`);
+      const summary = await this.retryWithBackoff(async () => {
+        return await reconcileUploads(client, outputFolder, channelId, target.channelId, target.captionRules);
+      });
+      this.uploadMaps.delete(target.channelId);
+      logger.info(
+        `🧾 Scanned ${summary.scanned} target posts: ${summary.forwarded} forwarded and ${summary.matched} copied source messages found, ${summary.unmatched} posts without a source message`
+      );
     }
-    
-    updateLastSelection({ messageOffsetId, channelId });
-    return { channelId, messageOffsetId };
   }
 
   /**
@@ -490,6 +1118,7 @@ class DownloadChannel {
    */
   async handle(options = {}) {
     let client;
+    let completed = false;
     
     try {
       await this.wait(1000);
@@ -502,14 +1131,28 @@ class DownloadChannel {
 
       const dialogName = await getDialogName(client, channelId);
       logger.info(`🚀 Starting enhanced download from channel: ${dialogName}`);
-      logger.info(`⚙️  Settings: Parallel processing: ${MAX_PARALLEL_PROCESS}, Upload mode: ${this.uploadMode ? 'ON' : 'OFF'}`);
+      logger.info(`⚙️  Settings: Parallel processing: ${MAX_PARALLEL_PROCESS}, Upload mode: ${this.uploadMode ? 'ON' : 'OFF'}, Sync mode: ${this.syncMode ? 'ON' : 'OFF'}, Takeout: ${this.takeoutMode ? 'ON' : 'OFF'}`);
       
-      if (this.uploadMode) {
-        const targetName = await getDialogName(client, this.targetChannelId);
-        logger.info(`📤 Target channel: ${targetName}`);
+      for (const target of this.targets) {
+        const targetName = await getDialogName(client, target.channelId);
+        logger.info(`📤 Target channel: ${targetName} (${target.transfer}${target.filter ? ", filtered" : ""}${target.captionRules ? ", caption rules" : ""}${target.schedule ? `, ${formatSchedule(target.schedule)}` : ""})`);
       }
       
+      if (this.takeoutMode) {
+        this.takeout = await startTakeout(client);
+
+        // Close the takeout session on Ctrl+C too, Telegram only allows one at a time
+        process.once("SIGINT", async () => {
+          logger.info("⏹️  Interrupted, closing takeout session...");
+          await finishTakeout(client, this.takeout, false);
+          this.takeout = null;
+          await client.disconnect().catch(() => {});
+          process.exit(130);
+        });
+      }
+
       await this.downloadChannel(client, channelId, messageOffsetId);
+      completed = true;
       
     } catch (err) {
       logger.error("An error occurred:");
@@ -518,6 +1161,7 @@ class DownloadChannel {
       
     } finally {
       if (client) {
+        await finishTakeout(client, this.takeout, completed);
         try {
           await client.disconnect();
         } catch (disconnectErr) {
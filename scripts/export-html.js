@@ -0,0 +1,41 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const { exportHtmlArchive } = require("../modules/html-export");
+
+class ExportHtml {
+  static description() {
+    return "Build a browsable offline HTML archive of one or all downloaded channels";
+  }
+
+  static help() {
+    return [
+      "Options:",
+      "  --channelId=<id>  Only build the archive of this channel (default: every channel in the export folder)",
+    ].join("\n");
+  }
+
+  async handle(options = {}) {
+    const exportPath = path.resolve(process.cwd(), "./export");
+    const channelIds = options.channelId
+      ? [String(options.channelId)]
+      : fs
+          .readdirSync(exportPath, { withFileTypes: true })
+          .filter((entry) => entry.isDirectory())
+          .map((entry) => entry.name);
+
+    for (const channelId of channelIds) {
+      const outputFolder = path.join(exportPath, channelId);
+      try {
+        const pageCount = await exportHtmlArchive(outputFolder, channelId);
+        logger.success(
+          `${channelId}: wrote ${pageCount} page(s), open ${path.join(outputFolder, "messages.html")}`
+        );
+      } catch (err) {
+        logger.error(`${channelId}: failed to build HTML archive: ${err.message}`);
+      }
+    }
+  }
+}
+
+module.exports = ExportHtml;
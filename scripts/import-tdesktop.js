@@ -0,0 +1,77 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const { importTdesktopExport } = require("../modules/tdesktop");
+const { getChannelState, updateChannelState } = require("../utils/file-helper");
+const { loadMessageIds } = require("../utils/message-log");
+const { textInput } = require("../utils/input-helper");
+
+class ImportTdesktop {
+  static description() {
+    return "Import a Telegram Desktop chat export so later downloads only fetch what it is missing";
+  }
+
+  static help() {
+    return [
+      "Options:",
+      "  --path=<folder>   Telegram Desktop export folder (the one holding result.json)",
+      "  --channelId=<id>  Channel to import into (default: the chat ID found in result.json)",
+    ].join("\n");
+  }
+
+  /**
+   * Seed the channel checkpoint with the range of imported messages
+   */
+  seedCheckpoint(channelId, outputFolder, records) {
+    const ids = records.map((record) => record.id);
+    const state = getChannelState(channelId);
+
+    updateChannelState(channelId, {
+      oldestMessageId: Math.min(state.oldestMessageId || Infinity, ...ids),
+      newestMessageId: Math.max(state.newestMessageId || 0, ...ids),
+      // Counted from the log, so importing again does not count the messages twice
+      messageCount: loadMessageIds(outputFolder).size,
+      importedAt: new Date().toISOString(),
+    });
+  }
+
+  async handle(options = {}) {
+    let exportFolder = options.path;
+    if (!exportFolder) {
+      exportFolder = await textInput("Please enter the Telegram Desktop export folder");
+    }
+
+    exportFolder = path.resolve(exportFolder);
+    if (path.basename(exportFolder) === "result.json") {
+      exportFolder = path.dirname(exportFolder);
+    }
+    if (!fs.existsSync(path.join(exportFolder, "result.json"))) {
+      logger.error(`No result.json found in ${exportFolder}`);
+      return;
+    }
+
+    try {
+      const { channelId, outputFolder, records, mediaCount } = importTdesktopExport(
+        exportFolder,
+        options.channelId
+      );
+
+      if (!records.length) {
+        logger.info("The export holds no messages, nothing to import");
+        return;
+      }
+
+      this.seedCheckpoint(channelId, outputFolder, records);
+      logger.success(
+        `Imported ${records.length} messages and ${mediaCount} media files into ${outputFolder}`
+      );
+      logger.info(
+        `Run "node cli download-channel --channelId=${channelId}" for older messages and add --sync for newer ones`
+      );
+    } catch (err) {
+      logger.error(`Failed to import ${exportFolder}: ${err.message}`);
+    }
+  }
+}
+
+module.exports = ImportTdesktop;
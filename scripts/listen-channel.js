@@ -1,66 +1,346 @@
 const { NewMessage } = require("telegram/events");
+const { EditedMessage } = require("telegram/events/EditedMessage");
+const { DeletedMessage } = require("telegram/events/DeletedMessage");
+const { utils } = require("telegram");
 const { getAllDialogs, getDialogName } = require("../modules/dialoges");
-const { downloadMessageMedia, getMessageDetail } = require("../modules/messages");
-const { getMediaPath, wait } = require("../utils/helper");
+const {
+  TRANSFER_STRATEGIES,
+  getMessagesAfter,
+  groupAlbumMessages,
+  editMessageCopy,
+  deleteMessageCopies,
+} = require("../modules/messages");
+const { wait } = require("../utils/helper");
+const { markDeleted } = require("../utils/message-log");
 const logger = require("../utils/logger");
 const { initAuth } = require("../modules/auth");
 const { selectInput } = require("../utils/input-helper");
+const { parseFilter } = require("../utils/filter");
+const { validateMediaTemplate } = require("../utils/media-template");
+const { loadCaptionRules } = require("../utils/caption-rules");
+const { openMediaIndex } = require("../utils/media-index");
+const { getChannelState, updateChannelState } = require("../utils/file-helper");
+const DownloadChannel = require("./download-channel");
 const path = require("path");
 
+// Members of an album arrive as separate messages; wait this long after the
+// last one before processing them as one album
+const ALBUM_WAIT = 1500; // ms
+
+const MESSAGE_LIMIT = 100;
+
+/**
+ * Parses --channelId: a comma separated list of sources, each optionally
+ * followed by the channel it is mirrored to, e.g. "-1001:-1002,-1003".
+ * @param {string} value - The option value.
+ * @param {number} [defaultTargetId] - Mirror target of sources without one.
+ * @returns {Array<Object>} The sources as `{ channelId, targetChannelId }`.
+ */
+const parseSources = (value, defaultTargetId = null) =>
+  String(value)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [channelId, targetChannelId] = entry.split(":");
+      if (!Number(channelId) || (targetChannelId !== undefined && !Number(targetChannelId))) {
+        throw new Error(`Invalid source "${entry}", use <channelId> or <channelId>:<targetChannelId>`);
+      }
+      return {
+        channelId: Number(channelId),
+        targetChannelId: targetChannelId ? Number(targetChannelId) : defaultTargetId,
+      };
+    });
+
 class ListenChannel {
   constructor() {
-    this.channelId = null;
     this.client = null;
+    this.filter = null;
+    this.propagate = false;
+    this.sources = new Map();
     this.handleNewMessage = this.handleNewMessage.bind(this);
+    this.handleEditedMessage = this.handleEditedMessage.bind(this);
+    this.handleDeletedMessage = this.handleDeletedMessage.bind(this);
   }
 
   static description() {
-    return "Listen to a channel and download media from incoming messages";
+    return "Listen to channels, archive incoming messages and mirror them to other channels";
   }
-  
-  async handleNewMessage(event) {
-    const messageChatId =
-      event.message?.peerId?.chatId ||
-      event.message?.peerId?.channelId ||
-      event.message?.peerId?.userId;
-    if (Number(messageChatId) !== Number(this.channelId)) {
-      logger.info("Message from another channel");
+
+  static help() {
+    return [
+      "Options:",
+      "  --channelId=<list>      Channels to listen to, each optionally with a mirror target, e.g. --channelId=-1001:-1002,-1003",
+      "  --targetChannelId=<id>  Mirror target of the channels that do not name their own",
+      `  --transfer=<strategy>   How mirrored messages copy media: ${TRANSFER_STRATEGIES.join(", ")} (default: reupload)`,
+      "  --captionRules=<file>   Rewrite captions of mirrored messages with the rules in this JSON file",
+      "  --propagate             Also edit and delete the mirrored copies when messages are edited or deleted",
+      '  --filter="<expr>"       Only process matching messages, e.g. --filter="type:video AND size>50MB"',
+      '  --template="<path>"     Where to save media below the channel folder, e.g. --template="{date:YYYY}/{date:MM}/{id}_{original_name}.{ext}"',
+    ].join("\n");
+  }
+
+  /**
+   * Set up the downloader of a source, which archives its messages and copies
+   * them to its mirror target through the upload path of download-channel
+   */
+  async addSource(client, { channelId, targetChannelId }, options, mediaIndex) {
+    const downloader = new DownloadChannel();
+    downloader.outputFolder = path.join(process.cwd(), "export", String(channelId));
+    downloader.mediaIndex = mediaIndex;
+    downloader.filter = this.filter;
+    if (options.template) {
+      await downloader.setMediaTemplate(client, channelId, options.template);
+    }
+
+    const targetSpecs = targetChannelId
+      ? [{
+          channelId: targetChannelId,
+          transfer: options.transfer || null,
+          captionRules: options.captionRules ? path.resolve(options.captionRules) : null,
+        }]
+      : [];
+    await downloader.setTargets(client, channelId, targetSpecs);
+    downloader.uploadMode = targetSpecs.length > 0;
+
+    const dialogName = await getDialogName(client, channelId);
+    if (targetChannelId) {
+      logger.info(`Listening to: ${dialogName}, mirroring to ${await getDialogName(client, targetChannelId)}`);
+    } else {
+      logger.info(`Listening to: ${dialogName}`);
+    }
+
+    // Messages of a source are processed one after the other, so copies keep their order.
+    // caughtUp is the ID range catchUp fetched, as { after, upTo }
+    this.sources.set(String(channelId), {
+      channelId,
+      downloader,
+      inSync: false,
+      caughtUp: null,
+      pending: [],
+      queue: Promise.resolve(),
+    });
+  }
+
+  /**
+   * Fetch what was posted since the checkpoint of a source, like download-channel --sync.
+   * Only then do received messages move the checkpoint, so it never skips messages
+   * posted while nobody listened. Channels never downloaded are left to download-channel.
+   */
+  async catchUp(source) {
+    const { channelId, downloader } = source;
+    let { newestMessageId = 0 } = getChannelState(channelId);
+    const after = newestMessageId;
+    if (!newestMessageId) {
+      logger.info(`${channelId} was not downloaded before, received messages do not move its checkpoint`);
       return;
     }
 
-    const messageId = event.message?.id;
-    const isMedia = !!event.message?.media;
-    if (isMedia) {
-      const outputFolder = path.join(
-        process.cwd(),
-        "export",
-        this.channelId.toString()
+    try {
+      let count = 0;
+      for (;;) {
+        const fetched = await downloader.retryWithBackoff(async () => {
+          return await getMessagesAfter(this.client, channelId, MESSAGE_LIMIT, newestMessageId);
+        });
+        if (!fetched.length) break;
+
+        const messages = downloader.withoutSplitAlbum(fetched);
+        const matching = this.filter ? messages.filter((msg) => this.filter(msg)) : messages;
+        for (const group of groupAlbumMessages(matching)) {
+          await downloader.processGroup(this.client, group, 0, 1);
+        }
+        downloader.recordMessages(messages);
+        downloader.saveCheckpoint(channelId, messages);
+        newestMessageId = messages[messages.length - 1].id;
+        source.caughtUp = { after, upTo: newestMessageId };
+        count += messages.length;
+      }
+
+      source.inSync = true;
+      if (count) logger.info(`⏩ ${channelId}: fetched ${count} messages posted since the last run`);
+    } catch (err) {
+      logger.error(
+        `Could not fetch the messages of ${channelId} posted since the last run: ${err.message}. ` +
+          "Received messages do not move its checkpoint, run download-channel --sync to fetch them"
       );
+    }
+  }
+
+  /**
+   * Download, log and mirror a message or the members of an album
+   */
+  async processMessages(source, messages) {
+    const { channelId, downloader } = source;
+    const ids = messages.map((msg) => msg.id);
+    // Received while catching up, and fetched by it already
+    const { caughtUp } = source;
+    if (caughtUp && ids.every((id) => id > caughtUp.after && id <= caughtUp.upTo)) return;
+
+    const state = getChannelState(channelId);
+
+    try {
+      await downloader.processGroup(this.client, messages, 0, 1);
+      downloader.recordMessages(messages);
+      downloader.saveCheckpoint(channelId, messages, source.inSync);
+      updateChannelState(channelId, {
+        listenedMessageId: Math.max(state.listenedMessageId || 0, ...ids),
+      });
+    } catch (err) {
+      logger.error(`Failed to process message ${messages.map((msg) => msg.id).join(", ")}: ${err.message}`);
+    }
+  }
+
+  enqueue(source, messages) {
+    source.queue = source.queue.then(() => this.processMessages(source, messages));
+  }
+
+  /**
+   * Queue a received message, holding album members back until the whole album
+   * has arrived. Messages received after an album wait for it, so they are still
+   * processed in the order they were posted.
+   */
+  collectMessage(source, message) {
+    if (!message.groupedId) {
+      source.pending.push({ messages: [message], complete: true });
+      this.flushPending(source);
+      return;
+    }
+
+    let album = source.pending.find(
+      (entry) => !entry.complete && String(entry.groupedId) === String(message.groupedId)
+    );
+    if (!album) {
+      album = { groupedId: message.groupedId, messages: [], complete: false };
+      source.pending.push(album);
+    }
+    clearTimeout(album.timer);
+    album.messages.push(message);
+    album.timer = setTimeout(() => {
+      album.complete = true;
+      album.messages.sort((a, b) => a.id - b.id);
+      this.flushPending(source);
+    }, ALBUM_WAIT);
+  }
 
-      const details = await getMessageDetail(this.client, this.channelId, [
-        messageId,
-      ]);
-      for (const msg of details) {
-        await downloadMessageMedia(
-          this.client,
-          msg,
-          getMediaPath(msg, outputFolder)
-        );
-        logger.info(`Downloaded media from message: ${msg.id}`);
+  flushPending(source) {
+    while (source.pending.length && source.pending[0].complete) {
+      this.enqueue(source, source.pending.shift().messages);
+    }
+  }
+
+  getSource(peer) {
+    return peer && this.sources.get(String(utils.getPeerId(peer)));
+  }
+
+  /**
+   * Log the new version of an edited message, keeping the earlier ones as revisions,
+   * and optionally change its mirrored copies
+   */
+  async processEdit(source, message) {
+    const { downloader } = source;
+    try {
+      // Media deleted after mirroring is not downloaded again for a caption edit
+      const mediaIndex = downloader.getMediaIndex();
+      const mirroredMedia = mediaIndex.has(message) && !mediaIndex.find(message);
+      const mediaPath = mirroredMedia ? null : await downloader.downloadMessage(this.client, message);
+      if (mediaPath) downloader.mediaPaths.set(message.id, mediaPath);
+      downloader.recordMessages([message]);
+      logger.info(`✏️  Message ${message.id} was edited, logged the new revision`);
+    } catch (err) {
+      logger.error(`Failed to log the edit of message ${message.id}: ${err.message}`);
+    }
+
+    if (!this.propagate) return;
+    for (const target of downloader.targets) {
+      const targetMessageId = downloader.getUploadMap(target).get(message.id);
+      if (!targetMessageId) continue;
+      try {
+        await editMessageCopy(this.client, target.channelId, targetMessageId, message, {
+          captionRules: target.captionRules,
+          append: !message.groupedId || Boolean(message.message),
+        });
+        logger.info(`✏️  Edited copy ${targetMessageId} in ${target.channelId}`);
+      } catch (err) {
+        logger.warn(`Could not edit copy ${targetMessageId} in ${target.channelId}: ${err.message}`);
       }
-    } else {
-      logger.info("No media found in the message");
     }
   }
 
+  /**
+   * Mark deleted messages in the message log, and optionally delete their mirrored copies
+   */
+  async processDeletion(source, messageIds) {
+    const { downloader } = source;
+    try {
+      markDeleted(downloader.outputFolder, messageIds);
+      logger.info(`🗑️  Message ${messageIds.join(", ")} deleted in the source, marked in the message log`);
+    } catch (err) {
+      logger.error(`Failed to log the deletion of message ${messageIds.join(", ")}: ${err.message}`);
+    }
+
+    if (!this.propagate) return;
+    for (const target of downloader.targets) {
+      try {
+        const uploads = downloader.getUploadMap(target);
+        const copies = messageIds.map((id) => uploads.get(id)).filter(Boolean);
+        if (!copies.length) continue;
+        await deleteMessageCopies(this.client, target.channelId, copies);
+        logger.info(`🗑️  Deleted copy ${copies.join(", ")} in ${target.channelId}`);
+      } catch (err) {
+        logger.warn(`Could not delete the copies of message ${messageIds.join(", ")} in ${target.channelId}: ${err.message}`);
+      }
+    }
+  }
+
+  async handleEditedMessage(event) {
+    const message = event.message;
+    const source = this.getSource(message?.peerId);
+    // Updates of views or reactions come as edits too, without an edit date
+    if (!source || !message.editDate || (this.filter && !this.filter(message))) return;
+
+    source.queue = source.queue.then(() => this.processEdit(source, message));
+  }
+
+  async handleDeletedMessage(event) {
+    // Telegram only tells where messages were deleted for channels and supergroups
+    const source = this.getSource(event.peer);
+    if (!source) return;
+
+    source.queue = source.queue.then(() => this.processDeletion(source, event.deletedIds));
+  }
+
+  async handleNewMessage(event) {
+    const message = event.message;
+    const source = this.getSource(message?.peerId);
+    if (!source) {
+      logger.info("Message from another channel");
+      return;
+    }
+
+    if (this.filter && !this.filter(message)) {
+      logger.info("Message does not match the filter");
+      return;
+    }
+
+    this.collectMessage(source, message);
+  }
+
   async handle(options = {}) {
-    let channelId = Number(options.channelId);
     let client;
     await wait(1);
     try {
+      this.filter = options.filter ? parseFilter(options.filter) : null;
+      this.propagate = Boolean(options.propagate);
+      if (options.template) validateMediaTemplate(options.template);
+      if (options.captionRules) loadCaptionRules(options.captionRules);
+      if (options.transfer && !TRANSFER_STRATEGIES.includes(options.transfer)) {
+        throw new Error(`Unknown transfer strategy "${options.transfer}", use one of: ${TRANSFER_STRATEGIES.join(", ")}`);
+      }
+      const defaultTargetId = options.targetChannelId ? Number(options.targetChannelId) : null;
+      const sources = options.channelId ? parseSources(options.channelId, defaultTargetId) : [];
       client = await initAuth();
 
-      if (!channelId) {
+      if (!sources.length) {
         logger.info("Please select a channel to download media from");
         const allChannels = await getAllDialogs(client);
         const options = allChannels.map((d) => ({
@@ -68,15 +348,25 @@ class ListenChannel {
           value: d.id,
         }));
 
-        channelId = await selectInput("Please select a channel", options);
+        const channelId = await selectInput("Please select a channel", options);
+        sources.push({ channelId: Number(channelId), targetChannelId: defaultTargetId });
       }
 
-      this.channelId = channelId;
       this.client = client;
+      const mediaIndex = openMediaIndex(path.resolve(process.cwd(), "./export"));
+      for (const source of sources) {
+        await this.addSource(client, source, options, mediaIndex);
+      }
 
-      const dialogName = await getDialogName(client, channelId);
-      logger.info(`Listening to: ${dialogName}`);
-      client.addEventHandler(this.handleNewMessage, new NewMessage({}));
+      const chats = sources.map((source) => source.channelId);
+      client.addEventHandler(this.handleNewMessage, new NewMessage({ chats }));
+      client.addEventHandler(this.handleEditedMessage, new EditedMessage({ chats }));
+      client.addEventHandler(this.handleDeletedMessage, new DeletedMessage({ chats }));
+
+      // Queued in the same tick as the handlers, so messages received meanwhile wait for it
+      for (const source of this.sources.values()) {
+        source.queue = source.queue.then(() => this.catchUp(source));
+      }
     } catch (err) {
       logger.error("An error occurred:");
       console.error(err);
@@ -0,0 +1,270 @@
+const path = require("path");
+const logger = require("../utils/logger");
+const { initAuth } = require("../modules/auth");
+const { getMessageDetail } = require("../modules/messages");
+const { getExportedDialogNames } = require("../modules/dialoges");
+const { wait } = require("../utils/helper");
+const {
+  PUBLISH_QUEUE_FILE,
+  parseSchedule,
+  formatSchedule,
+  getNextPublishTime,
+  setSchedule,
+  getPublishQueue,
+  dropJobs,
+  moveJob,
+  claimJob,
+  releaseJobs,
+  completeJob,
+} = require("../utils/publish-queue");
+const DownloadChannel = require("./download-channel");
+
+// Check the queue at least this often, so jobs queued or edited meanwhile are seen
+const POLL_INTERVAL = 60; // seconds
+
+class PublishQueue {
+  static description() {
+    return "List, reorder or drop the uploads queued by download-channel --schedule, or publish them";
+  }
+
+  static help() {
+    return [
+      "Options:",
+      "  (none)                    List the queued posts with the time each one is expected to go out",
+      "  --drop=<jobs>             Remove jobs from the queue, e.g. --drop=4,7",
+      "  --move=<job> --to=<n>     Move a job to place n of the queue (1 = next)",
+      '  --schedule="<rate>" --targetChannelId=<id>  Change the pace of a target channel, e.g. --schedule="12/h 08:00-22:00"',
+      "  --run                     Keep publishing queued posts at the pace of their target channel until stopped",
+    ].join("\n");
+  }
+
+  /**
+   * The time every job is expected to be published at, if the daemon keeps running
+   */
+  getExpectedTimes(queue, now = new Date()) {
+    const last = { ...queue.lastPublishedAt };
+    const times = new Map();
+    queue.jobs.forEach((job) => {
+      const schedule = queue.schedules[job.targetChannelId];
+      const time = schedule ? getNextPublishTime(schedule, last[job.targetChannelId], now) : now;
+      last[job.targetChannelId] = time.toISOString();
+      times.set(job.id, time);
+    });
+    return times;
+  }
+
+  list(exportPath) {
+    const queue = getPublishQueue(exportPath);
+    if (!queue.jobs.length) {
+      logger.info("No posts are queued for publishing");
+      return;
+    }
+
+    const names = getExportedDialogNames();
+    const times = this.getExpectedTimes(queue);
+    logger.table(
+      Object.entries(queue.schedules).map(([targetChannelId, schedule]) => ({
+        target: names[targetChannelId] || targetChannelId,
+        schedule: formatSchedule(schedule),
+        queued: queue.jobs.filter((job) => String(job.targetChannelId) === targetChannelId).length,
+        lastPublished: queue.lastPublishedAt[targetChannelId]
+          ? new Date(queue.lastPublishedAt[targetChannelId]).toLocaleString()
+          : "-",
+      }))
+    );
+    logger.table(
+      queue.jobs.map((job, index) => ({
+        place: index + 1,
+        job: job.id,
+        source: names[job.sourceChannelId] || job.sourceChannelId,
+        target: names[job.targetChannelId] || job.targetChannelId,
+        messages: job.messageIds.join(", "),
+        publishAt: job.publishingAt ? "publishing now" : times.get(job.id).toLocaleString(),
+      }))
+    );
+  }
+
+  /**
+   * A downloader per source channel, set up the way its last download-channel run was
+   */
+  async getDownloader(client, downloaders, sourceChannelId) {
+    if (!downloaders.has(sourceChannelId)) {
+      const downloader = new DownloadChannel();
+      const outputFolder = path.join(process.cwd(), "export", String(sourceChannelId));
+      await downloader.useLastRunOptions(client, sourceChannelId, outputFolder);
+      downloader.uploadMode = true;
+      downloaders.set(sourceChannelId, downloader);
+    }
+    return downloaders.get(sourceChannelId);
+  }
+
+  /**
+   * Upload the messages of a job as one post
+   * @returns {Promise<boolean>} Whether a post went out
+   */
+  async publishJob(client, downloader, job) {
+    const target = downloader.getTarget(job.targetChannelId);
+    const details = await downloader.retryWithBackoff(async () => {
+      return await getMessageDetail(client, Number(job.sourceChannelId), job.messageIds);
+    });
+    const messages = details.filter((msg) => msg && msg.className !== "MessageEmpty");
+    if (!messages.length) {
+      logger.warn(`Messages ${job.messageIds.join(", ")} no longer exist, dropping job ${job.id}`);
+      return false;
+    }
+
+    // Reuses the files the download-channel run left on disk
+    const mediaPaths = new Map();
+    for (const message of messages) {
+      const mediaPath = await downloader.downloadMessage(client, message);
+      if (mediaPath) mediaPaths.set(message.id, mediaPath);
+    }
+
+    return messages.length > 1
+      ? await downloader.uploadAlbum(client, messages, mediaPaths, [target])
+      : await downloader.uploadMessage(client, messages[0], mediaPaths.get(messages[0].id), [target]);
+  }
+
+  /**
+   * Return a job whose publishing failed to the queue, so it is tried again
+   */
+  async releaseJob(exportPath, job) {
+    try {
+      await releaseJobs(exportPath, [job.id]);
+    } catch (err) {
+      logger.warn(`Job ${job.id} stays claimed until publish-queue --run restarts: ${err.message}`);
+    }
+  }
+
+  /**
+   * Take a published job off the queue. Keeps trying, since a job left claimed
+   * would be published again.
+   */
+  async finishJob(exportPath, job, published) {
+    for (;;) {
+      try {
+        await completeJob(exportPath, job, published);
+        return;
+      } catch (err) {
+        logger.error(`Failed to take job ${job.id} off the queue: ${err.message}, retrying in ${POLL_INTERVAL}s`);
+        await wait(POLL_INTERVAL);
+      }
+    }
+  }
+
+  /**
+   * Publish the first job of every target channel whose turn has come, then
+   * sleep until the next one is due
+   */
+  async run(client, exportPath) {
+    const downloaders = new Map();
+    const retryTimes = new Map(); // job ID -> when a job that failed is tried again
+    logger.info(`🗓️  Publishing the posts queued in ${PUBLISH_QUEUE_FILE}, press Ctrl+C to stop`);
+    await releaseJobs(exportPath);
+
+    for (;;) {
+      const queue = getPublishQueue(exportPath);
+      const now = new Date();
+      const firstJobs = new Map();
+      queue.jobs.forEach((job) => {
+        if (!firstJobs.has(String(job.targetChannelId))) firstJobs.set(String(job.targetChannelId), job);
+      });
+
+      let nextTime = new Date(now.getTime() + POLL_INTERVAL * 1000);
+      let due = null;
+      for (const [targetChannelId, job] of firstJobs) {
+        const schedule = queue.schedules[targetChannelId];
+        const scheduled = schedule ? getNextPublishTime(schedule, queue.lastPublishedAt[targetChannelId], now) : now;
+        const time = new Date(Math.max(scheduled, retryTimes.get(job.id) || 0));
+        if (time <= now) {
+          due = job;
+          break;
+        }
+        if (time < nextTime) nextTime = time;
+      }
+
+      if (!due) {
+        await wait(Math.max(1, (nextTime - now) / 1000));
+        continue;
+      }
+
+      // The job may have been dropped since the queue was read
+      let job = null;
+      let published;
+      try {
+        job = await claimJob(exportPath, due.id);
+        if (!job) continue;
+
+        const downloader = await this.getDownloader(client, downloaders, job.sourceChannelId);
+        published = await this.publishJob(client, downloader, job);
+      } catch (err) {
+        logger.error(`Failed to publish job ${due.id}: ${err.message}, retrying in ${POLL_INTERVAL}s`);
+        if (job) await this.releaseJob(exportPath, job);
+        retryTimes.set(due.id, new Date(Date.now() + POLL_INTERVAL * 1000));
+        continue;
+      }
+
+      retryTimes.delete(job.id);
+      await this.finishJob(exportPath, job, published);
+      if (published) {
+        logger.success(`🗓️  Published job ${job.id} (${job.messageIds.join(", ")})`);
+      } else {
+        logger.warn(`Job ${job.id} left the queue without a post, failed uploads can be retried with retry-failed`);
+      }
+    }
+  }
+
+  async handle(options = {}) {
+    const exportPath = path.resolve(process.cwd(), "./export");
+
+    if (options.run) {
+      let client;
+      try {
+        client = await initAuth();
+        await this.run(client, exportPath);
+      } catch (err) {
+        logger.error("An error occurred:");
+        console.error(err);
+      } finally {
+        if (client) {
+          try {
+            await client.disconnect();
+          } catch (disconnectErr) {
+            logger.warn("Error disconnecting client:", disconnectErr.message);
+          }
+        }
+        process.exit(0);
+      }
+      return;
+    }
+
+    if (options.drop) {
+      const { dropped, publishing } = await dropJobs(exportPath, String(options.drop).split(","));
+      if (dropped.length) {
+        logger.success(`Dropped job ${dropped.map((job) => job.id).join(", ")}`);
+      }
+      if (publishing.length) {
+        logger.warn(`Job ${publishing.map((job) => job.id).join(", ")} is being published and can no longer be dropped`);
+      }
+      if (!dropped.length && !publishing.length) {
+        logger.warn(`No queued job ${options.drop}`);
+      }
+    } else if (options.move) {
+      if (!options.to) throw new Error("--move needs --to=<place>");
+      if (await moveJob(exportPath, options.move, options.to)) {
+        logger.success(`Moved job ${options.move} to place ${options.to}`);
+      } else {
+        logger.warn(`No queued job ${options.move}`);
+      }
+    } else if (options.schedule) {
+      if (!options.targetChannelId) throw new Error("--schedule needs --targetChannelId=<id>");
+      const schedule = parseSchedule(options.schedule);
+      await setSchedule(exportPath, Number(options.targetChannelId), schedule);
+      logger.success(`Posts to ${options.targetChannelId} are published at ${formatSchedule(schedule)}`);
+    }
+
+    this.list(exportPath);
+  }
+}
+
+module.exports = PublishQueue;
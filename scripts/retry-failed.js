@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const { initAuth } = require("../modules/auth");
+const { getMessageDetail, groupAlbumMessages } = require("../modules/messages");
+const {
+  FAILURE_QUEUE_FILE,
+  getFailures,
+  resolveFailure,
+} = require("../utils/failure-queue");
+const DownloadChannel = require("./download-channel");
+
+const MESSAGE_LIMIT = 100;
+
+class RetryFailed {
+  static description() {
+    return "Download and upload the messages that failed in earlier runs again";
+  }
+
+  static help() {
+    return [
+      "Options:",
+      "  --channelId=<id>  Only retry this channel (default: every channel with failed messages)",
+    ].join("\n");
+  }
+
+  /**
+   * Retry the queued failures of one channel with the downloader of download-channel
+   */
+  async retryChannel(client, channelId, outputFolder) {
+    const failures = getFailures(outputFolder);
+    if (!failures.length) return null;
+
+    // Save files where the last download-channel run would have saved them
+    const downloader = new DownloadChannel();
+    await downloader.useLastRunOptions(client, channelId, outputFolder);
+
+    logger.info(`🔁 ${channelId}: retrying ${failures.length} failed operations`);
+    let gone = 0;
+    for (let i = 0; i < failures.length; i += MESSAGE_LIMIT) {
+      const batch = failures.slice(i, i + MESSAGE_LIMIT);
+      const ids = [...new Set(batch.map((failure) => failure.messageId))];
+      const details = await downloader.retryWithBackoff(async () => {
+        return await getMessageDetail(client, Number(channelId), ids);
+      });
+      const messages = new Map(
+        details
+          .filter((msg) => msg && msg.className !== "MessageEmpty")
+          .map((msg) => [msg.id, msg])
+      );
+
+      const uploads = new Map();
+      for (const failure of batch) {
+        const message = messages.get(failure.messageId);
+        if (!message) {
+          logger.warn(`Message ${failure.messageId} no longer exists, removing it from the queue`);
+          resolveFailure(outputFolder, failure.messageId, failure.operation, failure.targetChannelId);
+          gone++;
+          continue;
+        }
+
+        if (failure.operation === "download") {
+          const mediaPath = await downloader.downloadMessage(client, message);
+          if (mediaPath) {
+            downloader.mediaPaths.set(message.id, mediaPath);
+            downloader.recordMessages([message]);
+          }
+        } else {
+          const targetUploads = uploads.get(failure.targetChannelId) || [];
+          uploads.set(failure.targetChannelId, [...targetUploads, message]);
+        }
+      }
+
+      // Albums are uploaded again as one media group
+      downloader.uploadMode = true;
+      for (const [targetChannelId, targetUploads] of uploads) {
+        const target = downloader.getTarget(targetChannelId);
+        for (const group of groupAlbumMessages(targetUploads)) {
+          // Reuses the files when they are on disk or archived elsewhere
+          const mediaPaths = new Map();
+          for (const message of group) {
+            const mediaPath = await downloader.downloadMessage(client, message);
+            if (mediaPath) mediaPaths.set(message.id, mediaPath);
+          }
+
+          if (group.length > 1) {
+            await downloader.uploadAlbum(client, group, mediaPaths, [target]);
+          } else {
+            await downloader.uploadMessage(client, group[0], mediaPaths.get(group[0].id), [target]);
+          }
+        }
+      }
+    }
+
+    const remaining = getFailures(outputFolder).length;
+    return {
+      channel: channelId,
+      retried: failures.length,
+      fixed: Math.max(0, failures.length - gone - remaining),
+      gone,
+      stillFailing: remaining,
+    };
+  }
+
+  async handle(options = {}) {
+    const exportPath = path.resolve(process.cwd(), "./export");
+    const channelIds = options.channelId
+      ? [String(options.channelId)]
+      : fs
+          .readdirSync(exportPath, { withFileTypes: true })
+          .filter((entry) => entry.isDirectory())
+          .map((entry) => entry.name)
+          .filter((name) => fs.existsSync(path.join(exportPath, name, FAILURE_QUEUE_FILE)));
+
+    let client;
+    try {
+      client = await initAuth();
+
+      const summary = [];
+      for (const channelId of channelIds) {
+        const result = await this.retryChannel(client, channelId, path.join(exportPath, channelId));
+        if (result) summary.push(result);
+      }
+
+      if (!summary.length) {
+        logger.info("No failed messages to retry");
+      } else {
+        logger.table(summary);
+        const remaining = summary.reduce((total, result) => total + result.stillFailing, 0);
+        if (remaining) {
+          logger.warn(`${remaining} operations are still failing, see ${FAILURE_QUEUE_FILE} in the channel folders`);
+        } else {
+          logger.success("All failed messages were processed");
+        }
+      }
+    } catch (err) {
+      logger.error("An error occurred:");
+      console.error(err);
+    } finally {
+      if (client) {
+        try {
+          await client.disconnect();
+        } catch (disconnectErr) {
+          logger.warn("Error disconnecting client:", disconnectErr.message);
+        }
+      }
+      process.exit(0);
+    }
+  }
+}
+
+module.exports = RetryFailed;
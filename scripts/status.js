@@ -0,0 +1,38 @@
+const path = require("path");
+const logger = require("../utils/logger");
+const { getAllChannelStates } = require("../utils/file-helper");
+const { getExportedDialogNames } = require("../modules/dialoges");
+const { getFailures } = require("../utils/failure-queue");
+
+class Status {
+  static description() {
+    return "Show download progress of every channel in the export folder";
+  }
+
+  async handle() {
+    const states = getAllChannelStates();
+    if (!states.length) {
+      logger.info("No channel has been downloaded yet");
+      return;
+    }
+
+    const names = getExportedDialogNames();
+    logger.table(
+      states.map((state) => ({
+        channel: names[state.channelId] || state.channelId,
+        oldest: state.oldestMessageId || "-",
+        newest: state.newestMessageId || "-",
+        messages: state.messageCount || 0,
+        downloaded: state.downloadedCount || 0,
+        uploaded: state.uploadedCount || 0,
+        failed: getFailures(path.join(process.cwd(), "export", String(state.channelId))).length,
+        complete: state.historyComplete ? "yes" : "no",
+        lastRun: state.lastRunAt
+          ? new Date(state.lastRunAt).toLocaleString()
+          : "-",
+      }))
+    );
+  }
+}
+
+module.exports = Status;
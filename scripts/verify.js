@@ -0,0 +1,118 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const { verifyArchive, verifyChecksums } = require("../modules/verify");
+const { recordFailure } = require("../utils/failure-queue");
+const { getPartPath } = require("../modules/messages");
+
+const REPORT_FILE = "verify_report.json";
+const MAX_LISTED = 20;
+
+class Verify {
+  static description() {
+    return "Check downloaded channels for missing, truncated, orphan and duplicate media files";
+  }
+
+  static help() {
+    return [
+      "Options:",
+      "  --channelId=<id>  Only verify this channel (default: every channel in the export folder)",
+      "  --checksums       Rehash every file in the manifest and report files changed since their download",
+      "  --requeue         Add missing and truncated files to the failure queue, to be downloaded again by retry-failed",
+    ].join("\n");
+  }
+
+  logEntries(title, entries, describe) {
+    if (!entries.length) return;
+
+    logger.warn(`${title}: ${entries.length}`);
+    entries.slice(0, MAX_LISTED).forEach((entry) => logger.info(`  ${describe(entry)}`));
+    if (entries.length > MAX_LISTED) {
+      logger.info(`  ... and ${entries.length - MAX_LISTED} more, see ${REPORT_FILE}`);
+    }
+  }
+
+  /**
+   * Queue broken files for retry-failed. Truncated files become .part files
+   * again, so their download resumes instead of being skipped as existing.
+   */
+  requeue(channelId, outputFolder, report) {
+    report.missing.forEach(({ id, file }) =>
+      recordFailure(outputFolder, id, "download", `verify: ${file} is missing`)
+    );
+    report.sizeMismatch.forEach(({ id, file, size, expectedSize }) => {
+      const filePath = path.join(outputFolder, file);
+      fs.renameSync(filePath, getPartPath(filePath, id));
+      recordFailure(outputFolder, id, "download", `verify: ${file} has ${size} of ${expectedSize} bytes`);
+    });
+
+    logger.success(
+      `${channelId}: ${report.missing.length + report.sizeMismatch.length} messages queued, ` +
+        `run retry-failed --channelId=${channelId} to download them`
+    );
+  }
+
+  async handle(options = {}) {
+    const exportPath = path.resolve(process.cwd(), "./export");
+    const channelIds = options.channelId
+      ? [String(options.channelId)]
+      : fs
+          .readdirSync(exportPath, { withFileTypes: true })
+          .filter((entry) => entry.isDirectory())
+          .map((entry) => entry.name);
+
+    for (const channelId of channelIds) {
+      const outputFolder = path.join(exportPath, channelId);
+      try {
+        const report = verifyArchive(outputFolder);
+        if (options.checksums) {
+          report.checksums = await verifyChecksums(outputFolder);
+        }
+        fs.writeFileSync(
+          path.join(outputFolder, REPORT_FILE),
+          JSON.stringify({ verifiedAt: new Date().toISOString(), ...report }, null, 2)
+        );
+
+        logger.info(
+          `${channelId}: ${report.messageCount} messages, ${report.fileCount} files, ${report.checkedCount} media files checked`
+        );
+        this.logEntries("Missing files", report.missing, (e) => `#${e.id} ${e.file}`);
+        this.logEntries("Size mismatches", report.sizeMismatch,
+          (e) => `#${e.id} ${e.file}: ${e.size} bytes, expected ${e.expectedSize}`);
+        this.logEntries("Unfinished downloads", report.partial, (e) => `${e.file} (${e.size} bytes)`);
+        this.logEntries("Orphan files", report.orphans, (e) => e.file);
+        this.logEntries("Duplicate copies", report.duplicates,
+          (e) => `${e.file} is a copy of ${e.original}${e.sameSize ? " (same size)" : ""}`);
+        if (report.checksums) {
+          const { hashedCount, checksumMismatch, removed, unlisted } = report.checksums;
+          logger.info(`${hashedCount} files rehashed, ${removed.length} listed files removed since download`);
+          this.logEntries("Checksum mismatches", checksumMismatch,
+            (e) => `#${e.id} ${e.file}: sha256 ${e.sha256}, downloaded as ${e.expectedSha256} at ${e.downloadedAt}`);
+          if (unlisted.length) {
+            logger.info(`${unlisted.length} media files are not in the manifest (downloaded by an older version or imported)`);
+          }
+          if (!checksumMismatch.length) {
+            logger.success(`${channelId}: no file changed since its download`);
+          }
+        }
+        if (report.uploadedAndRemoved.length) {
+          logger.info(`${report.uploadedAndRemoved.length} media files were removed after their upload to a target channel`);
+        }
+        if (report.notDownloaded.length) {
+          logger.info(`${report.notDownloaded.length} media messages were not downloaded (skipped or failed)`);
+        }
+
+        const broken = report.missing.length + report.sizeMismatch.length;
+        if (!broken) {
+          logger.success(`${channelId}: all recorded media files are present`);
+        } else if (options.requeue) {
+          this.requeue(channelId, outputFolder, report);
+        }
+      } catch (err) {
+        logger.error(`${channelId}: failed to verify: ${err.message}`);
+      }
+    }
+  }
+}
+
+module.exports = Verify;
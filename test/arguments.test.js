@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseArguments } = require("../utils/arguments");
+const { parseFilter } = require("../utils/filter");
+
+const seconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+test("parseArguments reads the script, valued options and flags", () => {
+  const { scriptSignature, options } = parseArguments([
+    "node",
+    "cli",
+    "download-channel",
+    "--channelId=-1001234",
+    "--sync",
+    "ignored",
+  ]);
+
+  assert.strictEqual(scriptSignature, "download-channel");
+  assert.deepStrictEqual(options, { channelId: "-1001234", sync: true });
+});
+
+test("parseArguments keeps everything after the first = in the value", () => {
+  const filter = 'type:video AND size>50MB AND date>=2024-01-01 AND text~"lecture"';
+  const { options } = parseArguments(["node", "cli", "download-channel", `--filter=${filter}`, "--search="]);
+
+  assert.strictEqual(options.filter, filter);
+  assert.strictEqual(options.search, "");
+});
+
+test("a filter with >= survives parseArguments and parseFilter", () => {
+  const { options } = parseArguments(["node", "cli", "listen-channel", '--filter=date>=2024-01-01 AND text~"lecture"']);
+  const matches = parseFilter(options.filter);
+
+  assert.strictEqual(matches({ date: seconds("2024-01-01T00:00:00"), message: "Lecture 1" }), true);
+  assert.strictEqual(matches({ date: seconds("2023-12-31T23:59:00"), message: "Lecture 1" }), false);
+  assert.strictEqual(matches({ date: seconds("2024-03-01T00:00:00"), message: "Exercises" }), false);
+});
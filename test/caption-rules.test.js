@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadCaptionRules, rewriteCaption, shiftEntities } = require("../utils/caption-rules");
+
+const loadRules = (t, rules, context) => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), "caption-rules-"));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  const filePath = path.join(folder, "rules.json");
+  fs.writeFileSync(filePath, JSON.stringify(rules));
+  return loadCaptionRules(filePath, context);
+};
+
+const entity = (className, offset, length, extra = {}) => ({ className, offset, length, ...extra });
+const ranges = (caption) => caption.entities.map(({ className, offset, length }) => [className, offset, length]);
+const covered = (caption, index) => {
+  const { offset, length } = caption.entities[index];
+  return caption.text.slice(offset, offset + length);
+};
+
+test("entities after a replacement move by the change in length", (t) => {
+  const rules = loadRules(t, [{ find: "Lecture (\\d+)", replace: "Part $1" }]);
+  const caption = rewriteCaption("Lecture 12 notes", [entity("MessageEntityBold", 11, 5)], rules);
+
+  assert.strictEqual(caption.text, "Part 12 notes");
+  assert.deepStrictEqual(ranges(caption), [["MessageEntityBold", 8, 5]]);
+  assert.strictEqual(covered(caption, 0), "notes");
+});
+
+test("entities around a replacement grow or shrink with it", (t) => {
+  const rules = loadRules(t, [{ find: "Lecture", replace: "Session number" }]);
+  const caption = rewriteCaption(
+    "Lecture 12 notes",
+    [entity("MessageEntityBold", 0, 16), entity("MessageEntityItalic", 0, 10)],
+    rules
+  );
+
+  assert.strictEqual(caption.text, "Session number 12 notes");
+  assert.deepStrictEqual(ranges(caption), [["MessageEntityBold", 0, 23], ["MessageEntityItalic", 0, 17]]);
+});
+
+test("entities overlapping the start of a replacement end at its start", (t) => {
+  const rules = loadRules(t, [{ find: "12 notes", replace: "" }]);
+  const caption = rewriteCaption("Lecture 12 notes", [entity("MessageEntityBold", 4, 6)], rules);
+
+  assert.strictEqual(caption.text, "Lecture ");
+  assert.deepStrictEqual(ranges(caption), [["MessageEntityBold", 4, 4]]);
+});
+
+test("stripped text takes its entities along and leaves no double spaces", (t) => {
+  const rules = loadRules(t, [{ strip: "mentions" }]);
+  const caption = rewriteCaption(
+    "Hi @channel_name there",
+    [entity("MessageEntityMention", 3, 13), entity("MessageEntityItalic", 17, 5)],
+    rules
+  );
+
+  assert.strictEqual(caption.text, "Hi there");
+  assert.deepStrictEqual(ranges(caption), [["MessageEntityItalic", 3, 5]]);
+  assert.strictEqual(covered(caption, 0), "there");
+});
+
+test("stripping links also drops hidden links to Telegram", (t) => {
+  const rules = loadRules(t, [{ strip: "links" }]);
+  const caption = rewriteCaption(
+    "Join here t.me/club and see example.com",
+    [
+      entity("MessageEntityTextUrl", 5, 4, { url: "https://t.me/club" }),
+      entity("MessageEntityTextUrl", 28, 11, { url: "https://example.com" }),
+    ],
+    rules
+  );
+
+  assert.strictEqual(caption.text, "Join here and see example.com");
+  assert.deepStrictEqual(ranges(caption), [["MessageEntityTextUrl", 18, 11]]);
+  assert.strictEqual(caption.entities[0].url, "https://example.com");
+});
+
+test("stripping the source only removes its own username and links", (t) => {
+  const rules = loadRules(t, [{ strip: "source" }], { sourceUsername: "club" });
+  const caption = rewriteCaption("From @club, see @other and t.me/club/12", [], rules);
+
+  assert.strictEqual(caption.text, "From , see @other and");
+});
+
+test("offsets count UTF-16 code units, as Telegram's do", (t) => {
+  const rules = loadRules(t, [{ find: "😀 ", replace: "" }]);
+  const caption = rewriteCaption("😀 Lecture end", [entity("MessageEntityBold", 11, 3)], rules);
+
+  assert.strictEqual(caption.text, "Lecture end");
+  assert.deepStrictEqual(ranges(caption), [["MessageEntityBold", 8, 3]]);
+});
+
+test("appended text leaves entities in place, unless append is off", (t) => {
+  const rules = loadRules(t, [{ append: "\n\nvia @ours" }]);
+  const entities = [entity("MessageEntityBold", 0, 5)];
+
+  const caption = rewriteCaption("Title", entities, rules);
+  assert.strictEqual(caption.text, "Title\n\nvia @ours");
+  assert.deepStrictEqual(ranges(caption), [["MessageEntityBold", 0, 5]]);
+
+  assert.strictEqual(rewriteCaption("Title", entities, rules, { append: false }).text, "Title");
+});
+
+test("rewritten entities keep their class and leave the originals untouched", (t) => {
+  class MessageEntityBold {
+    constructor(offset, length) {
+      this.offset = offset;
+      this.length = length;
+    }
+  }
+  const rules = loadRules(t, [{ find: "Old", replace: "Brand new" }]);
+  const original = new MessageEntityBold(4, 5);
+  const caption = rewriteCaption("Old title", [original], rules);
+
+  assert.ok(caption.entities[0] instanceof MessageEntityBold);
+  assert.deepStrictEqual([caption.entities[0].offset, caption.entities[0].length], [10, 5]);
+  assert.deepStrictEqual([original.offset, original.length], [4, 5]);
+  assert.deepStrictEqual(shiftEntities([original], 3).map((e) => e.offset), [7]);
+});
+
+test("invalid rules are rejected", (t) => {
+  assert.throws(() => loadRules(t, [{ replace: "x" }]), /needs "find", "strip" or "append"/);
+  assert.throws(() => loadRules(t, [{ strip: "emoji" }]), /Unknown caption rule/);
+  assert.throws(() => loadRules(t, { find: "x" }), /must be a JSON array/);
+});
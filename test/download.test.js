@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { downloadMessageMedia, getPartPath } = require("../modules/messages");
+
+const MB = 1024 * 1024;
+
+// Serves content from the requested offset in requestSize chunks, like iterDownload
+const fakeClient = (content, { servedBytes = content.length, failAfter = null } = {}) => {
+  const requests = [];
+  return {
+    requests,
+    async *iterDownload({ offset, requestSize }) {
+      const start = offset.toJSNumber();
+      requests.push(start);
+      for (let position = start; position < servedBytes; position += requestSize) {
+        if (failAfter !== null && position >= failAfter && requests.length === 1) {
+          throw new Error("Connection lost");
+        }
+        yield content.subarray(position, Math.min(position + requestSize, servedBytes));
+      }
+    },
+  };
+};
+
+const document = (content) => ({
+  id: 1,
+  media: { document: { size: content.length, mimeType: "application/pdf", attributes: [] } },
+});
+
+const photo = (content) => ({
+  id: 1,
+  media: { photo: { sizes: [{ type: "m", size: 1024 }, { type: "y", size: content.length }] } },
+});
+
+const setup = (t) => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), "download-"));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  const mediaPath = path.join(folder, "file.pdf");
+  return { mediaPath, partPath: getPartPath(mediaPath, 1) };
+};
+
+const content = Buffer.alloc(2.5 * MB).map((_, index) => index % 251);
+
+test("a part file is resumed from the last complete request", async (t) => {
+  const { mediaPath, partPath } = setup(t);
+  fs.writeFileSync(partPath, content.subarray(0, 1.5 * MB));
+  const client = fakeClient(content);
+
+  assert.strictEqual(await downloadMessageMedia(client, document(content), mediaPath), true);
+  assert.deepStrictEqual(client.requests, [1 * MB]);
+  assert.ok(fs.readFileSync(mediaPath).equals(content));
+  assert.strictEqual(fs.existsSync(partPath), false);
+});
+
+test("a part file larger than the media starts over", async (t) => {
+  const { mediaPath, partPath } = setup(t);
+  fs.writeFileSync(partPath, Buffer.alloc(3 * MB));
+  const client = fakeClient(content);
+
+  assert.strictEqual(await downloadMessageMedia(client, document(content), mediaPath), true);
+  assert.deepStrictEqual(client.requests, [0]);
+  assert.ok(fs.readFileSync(mediaPath).equals(content));
+});
+
+test("a dropped connection resumes where it stopped", async (t) => {
+  const { mediaPath } = setup(t);
+  const client = fakeClient(content, { failAfter: 1 * MB });
+
+  assert.strictEqual(await downloadMessageMedia(client, document(content), mediaPath), true);
+  assert.deepStrictEqual(client.requests, [0, 1 * MB]);
+  assert.ok(fs.readFileSync(mediaPath).equals(content));
+});
+
+test("a truncated download is never renamed to its final name", async (t) => {
+  const { mediaPath, partPath } = setup(t);
+  const client = fakeClient(content, { servedBytes: 2 * MB });
+
+  assert.strictEqual(await downloadMessageMedia(client, document(content), mediaPath), false);
+  assert.strictEqual(fs.existsSync(mediaPath), false);
+  assert.strictEqual(fs.statSync(partPath).size, 2 * MB);
+});
+
+test("a truncated photo is checked against its largest size", async (t) => {
+  const { mediaPath, partPath } = setup(t);
+  const client = fakeClient(content, { servedBytes: 2 * MB });
+
+  assert.strictEqual(await downloadMessageMedia(client, photo(content), mediaPath), false);
+  assert.strictEqual(fs.existsSync(mediaPath), false);
+  assert.strictEqual(fs.statSync(partPath).size, 2 * MB);
+});
+
+test("media of the same name never share a part file", () => {
+  assert.notStrictEqual(getPartPath("/export/video/clip.mp4", 5), getPartPath("/export/video/clip.mp4", 6));
+  assert.ok(getPartPath("/export/video/clip.mp4", 5).endsWith(".part"));
+});
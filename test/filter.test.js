@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseFilter } = require("../utils/filter");
+
+const MB = 1024 * 1024;
+const seconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+const text = (message, date = "2024-01-01T12:00:00") => ({ message, date: seconds(date) });
+const video = (size, message = "") => ({
+  message,
+  date: seconds("2024-01-01T12:00:00"),
+  media: { document: { size, mimeType: "video/mp4", attributes: [] } },
+});
+
+const matching = (expression, messages) => {
+  const matches = parseFilter(expression);
+  return messages.filter(matches);
+};
+
+test("AND binds tighter than OR", () => {
+  const note = text("note");
+  const small = video(1 * MB);
+  const large = video(100 * MB);
+
+  assert.deepStrictEqual(matching("type:text OR type:video AND size>50MB", [note, small, large]), [note, large]);
+  assert.deepStrictEqual(matching("(type:text OR type:video) AND size>50MB", [note, small, large]), [large]);
+});
+
+test("terms without an operator are ANDed", () => {
+  const lecture = video(100 * MB, "Lecture 1");
+  const trailer = video(100 * MB, "Trailer");
+
+  assert.deepStrictEqual(matching('type:video text:"lecture"', [lecture, trailer]), [lecture]);
+});
+
+test("NOT negates the next term or group", () => {
+  const note = text("note #draft");
+  const post = text("post");
+  const clip = video(1 * MB, "#draft");
+
+  assert.deepStrictEqual(matching("NOT hashtag:draft", [note, post, clip]), [post]);
+  assert.deepStrictEqual(matching("NOT (type:video OR text:post)", [note, post, clip]), [note]);
+  assert.deepStrictEqual(matching("NOT NOT type:video", [note, post, clip]), [clip]);
+  assert.deepStrictEqual(matching("not type:video and hashtag:draft", [note, post, clip]), [note]);
+});
+
+test("sizes take B, KB, MB and GB, with decimals", () => {
+  const kb = video(1024);
+  const mb = video(1.5 * MB);
+  const gb = video(2 * 1024 * MB);
+
+  assert.deepStrictEqual(matching("size>=1KB AND size<1MB", [kb, mb, gb]), [kb]);
+  assert.deepStrictEqual(matching("size:1.5MB", [kb, mb, gb]), [mb]);
+  assert.deepStrictEqual(matching("size>1.5gb", [kb, mb, gb]), [gb]);
+  assert.deepStrictEqual(matching("size<=1024", [kb, mb, gb]), [kb]);
+  assert.deepStrictEqual(matching("size!=1024", [text("no media"), kb]), [text("no media")]);
+});
+
+test("a date on its own matches the whole local day", () => {
+  const before = text("a", "2023-12-31T23:59:59");
+  const start = text("b", "2024-01-01T00:00:00");
+  const end = text("c", "2024-01-01T23:59:59");
+  const after = text("d", "2024-01-02T00:00:00");
+  const all = [before, start, end, after];
+
+  assert.deepStrictEqual(matching("date:2024-01-01", all), [start, end]);
+  assert.deepStrictEqual(matching("date=2024-01-01", all), [start, end]);
+  assert.deepStrictEqual(matching("date>=2024-01-01", all), [start, end, after]);
+  assert.deepStrictEqual(matching("date<2024-01-01", all), [before]);
+  assert.deepStrictEqual(matching("date>2024-01-01T12:00", all), [end, after]);
+});
+
+test("quoted values and regular expressions", () => {
+  const first = text('Lecture "one"');
+  const second = text("LECTURE two");
+
+  assert.deepStrictEqual(matching('text:"lecture \\"one\\""', [first, second]), [first]);
+  assert.deepStrictEqual(matching('text~"^lecture"', [first, second]), [first, second]);
+  assert.deepStrictEqual(matching("text~/^LECTURE/", [first, second]), [second]);
+});
+
+test("invalid expressions are rejected with a reason", () => {
+  assert.throws(() => parseFilter("date>"), /Invalid filter: cannot understand "date>"/);
+  assert.throws(() => parseFilter("color:red"), /unknown field "color"/);
+  assert.throws(() => parseFilter("(type:video"), /missing \)/);
+  assert.throws(() => parseFilter("type:video)"), /unexpected \)/);
+  assert.throws(() => parseFilter("type:video AND"), /unexpected end of expression/);
+  assert.throws(() => parseFilter("size>fifty"), /bad size/);
+  assert.throws(() => parseFilter("date>=yesterday"), /bad date/);
+  assert.throws(() => parseFilter("type>video"), /only supports/);
+});
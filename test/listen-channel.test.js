@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ListenChannel = require("../scripts/listen-channel");
+
+const message = (id, groupedId = null) => ({ id, groupedId });
+
+const setup = (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const listener = new ListenChannel();
+  const processed = [];
+  listener.processMessages = async (source, messages) => {
+    processed.push(messages.map((msg) => msg.id));
+  };
+  const source = { channelId: 1, pending: [], queue: Promise.resolve() };
+  return { listener, processed, source };
+};
+
+test("a message received while an album is arriving waits for the album", async (t) => {
+  const { listener, processed, source } = setup(t);
+  listener.collectMessage(source, message(11, 5));
+  listener.collectMessage(source, message(13));
+  listener.collectMessage(source, message(10, 5));
+  listener.collectMessage(source, message(12, 5));
+  await source.queue;
+  assert.deepStrictEqual(processed, []);
+
+  t.mock.timers.tick(1500);
+  await source.queue;
+  assert.deepStrictEqual(processed, [[10, 11, 12], [13]]);
+});
+
+test("messages the catch-up fetched are not processed again", async () => {
+  const listener = new ListenChannel();
+  const processed = [];
+  const downloader = { processGroup: async (client, messages) => processed.push(messages.map((msg) => msg.id)) };
+  const source = { channelId: 1, downloader, caughtUp: { after: 5, upTo: 8 } };
+
+  await listener.processMessages(source, [message(6, 2), message(8, 2)]);
+  assert.deepStrictEqual(processed, []);
+});
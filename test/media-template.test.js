@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { sanitizeName, renderMediaTemplate, validateMediaTemplate } = require("../utils/media-template");
+
+const message = (overrides = {}) => ({
+  id: 7,
+  date: Math.floor(new Date("2024-03-15T10:00:00").getTime() / 1000),
+  message: "Lecture 3: Intro!",
+  media: {
+    document: {
+      size: 10,
+      mimeType: "application/pdf",
+      attributes: [{ className: "DocumentAttributeFilename", fileName: "notes.pdf" }],
+    },
+  },
+  ...overrides,
+});
+
+test("sanitizeName replaces separators, reserved and control characters", () => {
+  assert.strictEqual(sanitizeName('a/b\\c:d*e?f"g<h>i|j'), "a_b_c_d_e_f_g_h_i_j");
+  assert.strictEqual(sanitizeName("tab\there\u0001"), "tab_here_");
+  assert.strictEqual(sanitizeName("many    spaces"), "many spaces");
+});
+
+test("sanitizeName strips leading dots and trailing dots and spaces", () => {
+  assert.strictEqual(sanitizeName(".."), "");
+  assert.strictEqual(sanitizeName("."), "");
+  assert.strictEqual(sanitizeName(".hidden"), "hidden");
+  assert.strictEqual(sanitizeName("  name. . "), "name");
+});
+
+test("sanitizeName prefixes reserved Windows names", () => {
+  assert.strictEqual(sanitizeName("CON"), "_CON");
+  assert.strictEqual(sanitizeName("nul.txt"), "_nul.txt");
+  assert.strictEqual(sanitizeName("com1"), "_com1");
+  assert.strictEqual(sanitizeName("console"), "console");
+});
+
+test("sanitizeName shortens long names and keeps their extension", () => {
+  const name = sanitizeName(`${"a".repeat(200)}.mp4`);
+  assert.strictEqual(name.length, 120);
+  assert.ok(name.endsWith("a.mp4"));
+});
+
+test("renderMediaTemplate fills in placeholders", () => {
+  assert.strictEqual(
+    renderMediaTemplate("{date:YYYY}/{date:MM}/{id}_{original_name}.{ext}", message()),
+    path.join("2024", "03", "7_notes.pdf")
+  );
+  assert.strictEqual(
+    renderMediaTemplate("{channel_username}/{caption_slug}.{ext}", message(), { channel: { id: 1, username: "club" } }),
+    path.join("club", "lecture-3-intro.pdf")
+  );
+});
+
+test("renderMediaTemplate never leaves the channel folder", () => {
+  const parts = (rendered) => rendered.split(path.sep);
+
+  const dots = renderMediaTemplate("../../{date:YYYY}/./../{id}.{ext}", message());
+  assert.strictEqual(dots, path.join("2024", "7.pdf"));
+
+  const author = renderMediaTemplate("{sender}/{id}.{ext}", message({ postAuthor: "../../etc" }));
+  assert.ok(!parts(author).includes(".."));
+  assert.strictEqual(parts(author).length, 2);
+
+  const dotsOnly = renderMediaTemplate("{sender}", message({ postAuthor: ".." }));
+  assert.strictEqual(dotsOnly, "7_file");
+});
+
+test("validateMediaTemplate rejects unknown placeholders", () => {
+  assert.doesNotThrow(() => validateMediaTemplate("{date:YYYY}/{id}.{ext}"));
+  assert.throws(() => validateMediaTemplate("{year}/{id}"), /Unknown placeholder \{year\}/);
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { appendMessages, markDeleted, loadMessageIds, loadMessages, compactMessages } = require("../utils/message-log");
+
+const setup = (t) => {
+  const outputFolder = fs.mkdtempSync(path.join(os.tmpdir(), "message-log-"));
+  t.after(() => fs.rmSync(outputFolder, { recursive: true, force: true }));
+  return outputFolder;
+};
+
+const record = (id, message, extra = {}) => ({ id, date: 1704067200, message, entities: [], ...extra });
+
+test("a message logged again unchanged keeps no revisions", (t) => {
+  const outputFolder = setup(t);
+  appendMessages(outputFolder, [record(1, "Hello"), record(2, "Other")]);
+  appendMessages(outputFolder, [record(1, "Hello", { views: 10 })]);
+
+  const [first, second] = loadMessages(outputFolder);
+  assert.strictEqual(first.views, 10);
+  assert.strictEqual(first.revisions, undefined);
+  assert.strictEqual(second.message, "Other");
+});
+
+test("edits keep every earlier version, oldest first, without duplicates", (t) => {
+  const outputFolder = setup(t);
+  appendMessages(outputFolder, [record(1, "First")]);
+  appendMessages(outputFolder, [record(1, "Second", { editDate: 1704070000 })]);
+  // A later run logs the edited message again
+  appendMessages(outputFolder, [record(1, "Second", { editDate: 1704070000 })]);
+  appendMessages(outputFolder, [record(1, "Third", { editDate: 1704080000 })]);
+
+  const [message] = loadMessages(outputFolder);
+  assert.strictEqual(message.message, "Third");
+  assert.deepStrictEqual(
+    message.revisions.map((revision) => [revision.message, revision.editDate || null]),
+    [["First", null], ["Second", 1704070000]]
+  );
+});
+
+test("a replaced file counts as a revision", (t) => {
+  const outputFolder = setup(t);
+  appendMessages(outputFolder, [record(1, "Clip", { media: { documentId: "10", file: "video/a.mp4" } })]);
+  appendMessages(outputFolder, [record(1, "Clip", { media: { documentId: "11", file: "video/b.mp4" } })]);
+
+  const [message] = loadMessages(outputFolder);
+  assert.strictEqual(message.media.file, "video/b.mp4");
+  assert.deepStrictEqual(message.revisions.map((revision) => revision.media.file), ["video/a.mp4"]);
+});
+
+test("deleted messages keep their record and deletedAt, also when logged again", (t) => {
+  const outputFolder = setup(t);
+  appendMessages(outputFolder, [record(1, "Kept"), record(2, "Gone")]);
+  markDeleted(outputFolder, [2, 3]);
+
+  const [kept, gone] = loadMessages(outputFolder);
+  assert.strictEqual(kept.deletedAt, undefined);
+  assert.strictEqual(gone.message, "Gone");
+  assert.ok(gone.deletedAt);
+  assert.strictEqual(loadMessages(outputFolder).length, 2);
+
+  appendMessages(outputFolder, [record(2, "Gone", { editDate: 1704070000, message: "Gone, edited" })]);
+  const [, relogged] = loadMessages(outputFolder);
+  assert.strictEqual(relogged.message, "Gone, edited");
+  assert.strictEqual(relogged.deletedAt, gone.deletedAt);
+  assert.deepStrictEqual(relogged.revisions.map((revision) => revision.message), ["Gone"]);
+});
+
+test("compaction keeps revisions and deletedAt", (t) => {
+  const outputFolder = setup(t);
+  appendMessages(outputFolder, [record(1, "First"), record(2, "Gone")]);
+  appendMessages(outputFolder, [record(1, "Second", { editDate: 1704070000 })]);
+  markDeleted(outputFolder, [2]);
+
+  assert.strictEqual(compactMessages(outputFolder), 2);
+  const compacted = JSON.parse(fs.readFileSync(path.join(outputFolder, "all_messages.json"), "utf8"));
+  assert.deepStrictEqual(compacted, JSON.parse(JSON.stringify(loadMessages(outputFolder))));
+  assert.deepStrictEqual(compacted[0].revisions.map((revision) => revision.message), ["First"]);
+  assert.ok(compacted[1].deletedAt);
+
+  // Compacting again reads the same log, nothing is merged twice
+  compactMessages(outputFolder);
+  const again = JSON.parse(fs.readFileSync(path.join(outputFolder, "all_messages.json"), "utf8"));
+  assert.deepStrictEqual(again, compacted);
+});
+
+test("loadMessageIds counts a re-logged message once and skips deletion marks", (t) => {
+  const folder = setup(t);
+  appendMessages(folder, [record(1, "a"), record(2, "b")]);
+  appendMessages(folder, [record(2, "b")]);
+  markDeleted(folder, [2]);
+
+  assert.deepStrictEqual([...loadMessageIds(folder)].sort(), [1, 2]);
+});
@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseSchedule,
+  formatSchedule,
+  getNextPublishTime,
+  enqueuePost,
+  getPublishQueue,
+  dropJobs,
+  moveJob,
+  claimJob,
+  releaseJobs,
+  completeJob,
+} = require("../utils/publish-queue");
+
+// Local time, as schedules use
+const at = (time) => new Date(`2024-03-15T${time}:00`);
+const dayAfter = (time) => new Date(`2024-03-16T${time}:00`);
+
+test("parseSchedule reads a rate with optional hours", () => {
+  assert.deepStrictEqual(parseSchedule("12/h"), { perHour: 12, from: null, to: null });
+  assert.deepStrictEqual(parseSchedule(" 12/h 8:00-22:30 "), { perHour: 12, from: "08:00", to: "22:30" });
+  assert.deepStrictEqual(parseSchedule("4/h 20:00-02:00"), { perHour: 4, from: "20:00", to: "02:00" });
+  assert.strictEqual(formatSchedule(parseSchedule("12/h 8:00-22:00")), "12/h 08:00-22:00");
+  assert.strictEqual(formatSchedule(parseSchedule("3/h")), "3/h");
+});
+
+test("parseSchedule rejects what it cannot read", () => {
+  ["0/h", "12", "12/d", "12/h 24:00-02:00", "12/h 08:00", "12/h 8-22", "fast"].forEach((text) =>
+    assert.throws(() => parseSchedule(text), /Invalid schedule/, text)
+  );
+});
+
+test("posts are spread evenly over the hour", () => {
+  const schedule = parseSchedule("12/h");
+
+  assert.deepStrictEqual(getNextPublishTime(schedule, undefined, at("10:00")), at("10:00"));
+  assert.deepStrictEqual(getNextPublishTime(schedule, at("10:00").toISOString(), at("10:01")), at("10:05"));
+  assert.deepStrictEqual(getNextPublishTime(schedule, at("09:00").toISOString(), at("10:01")), at("10:01"));
+});
+
+test("posts outside the hours wait for the next window", () => {
+  const schedule = parseSchedule("12/h 08:00-22:00");
+
+  assert.deepStrictEqual(getNextPublishTime(schedule, undefined, at("07:30")), at("08:00"));
+  assert.deepStrictEqual(getNextPublishTime(schedule, undefined, at("12:00")), at("12:00"));
+  assert.deepStrictEqual(getNextPublishTime(schedule, undefined, at("22:00")), dayAfter("08:00"));
+  assert.deepStrictEqual(getNextPublishTime(schedule, at("21:58").toISOString(), at("21:59")), dayAfter("08:00"));
+});
+
+test("hours may span midnight", () => {
+  const schedule = parseSchedule("4/h 20:00-02:00");
+
+  assert.deepStrictEqual(getNextPublishTime(schedule, undefined, at("19:00")), at("20:00"));
+  assert.deepStrictEqual(getNextPublishTime(schedule, undefined, at("23:30")), at("23:30"));
+  assert.deepStrictEqual(getNextPublishTime(schedule, at("23:50").toISOString(), at("23:55")), dayAfter("00:05"));
+  assert.deepStrictEqual(getNextPublishTime(schedule, undefined, dayAfter("01:59")), dayAfter("01:59"));
+  assert.deepStrictEqual(getNextPublishTime(schedule, undefined, dayAfter("02:00")), dayAfter("20:00"));
+});
+
+test("the queue keeps jobs in order, skips duplicates and can be reordered", async (t) => {
+  const exportFolder = fs.mkdtempSync(path.join(os.tmpdir(), "publish-queue-"));
+  t.after(() => fs.rmSync(exportFolder, { recursive: true, force: true }));
+  const ids = () => getPublishQueue(exportFolder).jobs.map((job) => job.id);
+
+  const first = await enqueuePost(exportFolder, 1, 9, [10, 11]);
+  await enqueuePost(exportFolder, 1, 9, [12]);
+  await enqueuePost(exportFolder, 1, 9, [13]);
+  assert.strictEqual(await enqueuePost(exportFolder, 1, 9, [11]), null);
+  assert.ok(await enqueuePost(exportFolder, 1, 8, [11]));
+  assert.deepStrictEqual(ids(), [1, 2, 3, 4]);
+  assert.deepStrictEqual(first.messageIds, [10, 11]);
+
+  assert.strictEqual(await moveJob(exportFolder, 3, 1), true);
+  assert.deepStrictEqual(ids(), [3, 1, 2, 4]);
+  assert.strictEqual(await moveJob(exportFolder, 3, 99), true);
+  assert.deepStrictEqual(ids(), [1, 2, 4, 3]);
+  assert.strictEqual(await moveJob(exportFolder, 42, 1), false);
+
+  assert.deepStrictEqual((await dropJobs(exportFolder, ["2", "42"])).dropped.map((job) => job.id), [2]);
+  assert.deepStrictEqual(ids(), [1, 4, 3]);
+
+  await completeJob(exportFolder, { id: 1, targetChannelId: 9 }, true);
+  assert.deepStrictEqual(ids(), [4, 3]);
+  assert.ok(getPublishQueue(exportFolder).lastPublishedAt[9]);
+  assert.strictEqual((await enqueuePost(exportFolder, 1, 9, [14])).id, 5);
+});
+
+test("jobs being published cannot be dropped until they are released", async (t) => {
+  const exportFolder = fs.mkdtempSync(path.join(os.tmpdir(), "publish-queue-"));
+  t.after(() => fs.rmSync(exportFolder, { recursive: true, force: true }));
+
+  await enqueuePost(exportFolder, 1, 9, [10]);
+  assert.strictEqual((await claimJob(exportFolder, 1)).id, 1);
+  assert.strictEqual(await claimJob(exportFolder, 42), null);
+
+  const { dropped, publishing } = await dropJobs(exportFolder, [1]);
+  assert.deepStrictEqual([dropped.length, publishing.map((job) => job.id)], [0, [1]]);
+
+  await releaseJobs(exportFolder, [42]);
+  assert.strictEqual((await dropJobs(exportFolder, [1])).dropped.length, 0);
+  await releaseJobs(exportFolder, [1]);
+  assert.deepStrictEqual((await dropJobs(exportFolder, [1])).dropped.map((job) => job.id), [1]);
+  assert.deepStrictEqual(getPublishQueue(exportFolder).jobs, []);
+  assert.strictEqual(fs.existsSync(path.join(exportFolder, "publish_queue.json.lock")), false);
+});
+
+test("a stale lock is taken over and a held lock is waited for", async (t) => {
+  const exportFolder = fs.mkdtempSync(path.join(os.tmpdir(), "publish-queue-"));
+  t.after(() => fs.rmSync(exportFolder, { recursive: true, force: true }));
+  const lockPath = path.join(exportFolder, "publish_queue.json.lock");
+
+  fs.writeFileSync(lockPath, "killed");
+  const lockedAt = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lockPath, lockedAt, lockedAt);
+  assert.strictEqual((await enqueuePost(exportFolder, 1, 9, [10])).id, 1);
+  assert.strictEqual(fs.existsSync(lockPath), false);
+
+  fs.writeFileSync(lockPath, "other");
+  setTimeout(() => fs.rmSync(lockPath), 200);
+  assert.strictEqual((await enqueuePost(exportFolder, 1, 9, [11])).id, 2);
+  assert.deepStrictEqual(getPublishQueue(exportFolder).jobs.map((job) => job.id), [1, 2]);
+});
@@ -0,0 +1,18 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getSearchFilter } = require("../modules/messages");
+
+test("getSearchFilter searches documents, voice notes and links", () => {
+  assert.strictEqual(getSearchFilter(["document"]).className, "InputMessagesFilterDocument");
+  assert.strictEqual(getSearchFilter(["pdf", "zip"]).className, "InputMessagesFilterDocument");
+  assert.strictEqual(getSearchFilter(["voice"]).className, "InputMessagesFilterVoice");
+});
+
+test("getSearchFilter reads the full history for media Telegram's filters miss as files", () => {
+  assert.strictEqual(getSearchFilter(["image"]), null);
+  assert.strictEqual(getSearchFilter(["video"]), null);
+  assert.strictEqual(getSearchFilter(["image", "video"]), null);
+  assert.strictEqual(getSearchFilter(["audio"]), null);
+  assert.strictEqual(getSearchFilter(["mp4"]), null);
+  assert.strictEqual(getSearchFilter([]), null);
+});
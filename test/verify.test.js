@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { verifyArchive } = require("../modules/verify");
+const { appendMessages } = require("../utils/message-log");
+const { addUploads } = require("../utils/upload-map");
+
+const videoRecord = (id, file) => ({
+  id,
+  date: 1704067200,
+  hasMedia: true,
+  mediaType: "video",
+  media: { file, size: 4 },
+});
+
+test("files removed after their upload are not reported as missing", (t) => {
+  const outputFolder = fs.mkdtempSync(path.join(os.tmpdir(), "verify-"));
+  t.after(() => fs.rmSync(outputFolder, { recursive: true, force: true }));
+
+  fs.mkdirSync(path.join(outputFolder, "video"));
+  fs.writeFileSync(path.join(outputFolder, "video", "kept.mp4"), "data");
+  appendMessages(outputFolder, [
+    videoRecord(1, "video/kept.mp4"),
+    videoRecord(2, "video/uploaded.mp4"),
+    videoRecord(3, "video/lost.mp4"),
+  ]);
+  addUploads(outputFolder, -1002, [[2, 20]]);
+
+  const report = verifyArchive(outputFolder);
+
+  assert.strictEqual(report.checkedCount, 1);
+  assert.deepStrictEqual(report.uploadedAndRemoved, [{ id: 2, file: "video/uploaded.mp4" }]);
+  assert.deepStrictEqual(report.missing, [{ id: 3, file: "video/lost.mp4" }]);
+});
@@ -0,0 +1,32 @@
+/**
+ * Parses command-line arguments into a script signature and options object.
+ * Options are split at their first "=" only, so values such as filter
+ * expressions may contain more of them.
+ *
+ * @param {string[]} argv - The array of command-line arguments.
+ * @returns {Object} An object containing the script signature and options.
+ * @returns {string} return.scriptSignature - The script signature (usually the command to run).
+ * @returns {Object} return.options - An object containing key-value pairs of options.
+ */
+const parseArguments = (argv) => {
+  const scriptSignature = argv[2];
+  const args = argv.slice(3);
+  const options = {};
+
+  args.forEach((arg) => {
+    if (arg.startsWith("--")) {
+      const separator = arg.indexOf("=");
+      if (separator === -1) {
+        options[arg.slice(2)] = true;
+      } else {
+        options[arg.slice(2, separator)] = arg.slice(separator + 1);
+      }
+    }
+  });
+
+  return { scriptSignature, options };
+};
+
+module.exports = {
+  parseArguments,
+};
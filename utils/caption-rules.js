@@ -0,0 +1,183 @@
+const fs = require("fs");
+
+// Caption rules rewrite the text of uploaded messages. A rules file is a JSON
+// array applied in order, e.g.
+//   [
+//     { "strip": "source" },
+//     { "find": "Lecture (\\d+)", "replace": "Part $1", "flags": "gi" },
+//     { "append": "\n\nvia @ourchannel" }
+//   ]
+// Formatting entities are moved along with the text they cover.
+
+const MENTION = String.raw`(?<![\w@])@[A-Za-z]\w{3,31}\b`;
+const TELEGRAM_LINK = String.raw`(?:https?:\/\/)?(?:www\.)?(?:t|telegram)\.me\/[^\s]+`;
+const HASHTAG = String.raw`(?<![\w#])#[\p{L}\p{N}_]+`;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// What { "strip": ... } removes: a pattern, and optionally hidden links to drop
+const getStripTarget = (what, context) => {
+  switch (what) {
+    case "mentions":
+      return { pattern: MENTION, flags: "g" };
+    case "links":
+      return { pattern: TELEGRAM_LINK, flags: "gi", hiddenLinks: new RegExp(`^${TELEGRAM_LINK}$`, "i") };
+    case "hashtags":
+      return { pattern: HASHTAG, flags: "gu" };
+    case "source": {
+      if (!context.sourceUsername) return null;
+      const username = escapeRegex(context.sourceUsername);
+      const link = String.raw`(?:https?:\/\/)?(?:www\.)?(?:t|telegram)\.me\/${username}(?:\/[^\s]*)?`;
+      return {
+        pattern: String.raw`(?<![\w@])@${username}\b|${link}`,
+        flags: "gi",
+        hiddenLinks: new RegExp(`^${link}$`, "i"),
+      };
+    }
+    default:
+      throw new Error(`Unknown caption rule "strip": "${what}", use mentions, links, hashtags or source`);
+  }
+};
+
+/**
+ * Reads and checks a caption rules file.
+ * @param {string} filePath - The JSON rules file.
+ * @param {Object} [context] - `sourceUsername`: the username of the source channel, for { "strip": "source" }.
+ * @returns {Array<Object>} The compiled rules.
+ * @throws {Error} If the file is not a list of valid rules.
+ */
+const loadCaptionRules = (filePath, context = {}) => {
+  const rules = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(rules)) {
+    throw new Error(`Caption rules in ${filePath} must be a JSON array`);
+  }
+
+  return rules
+    .map((rule, index) => {
+      if (rule.find !== undefined) {
+        return {
+          type: "replace",
+          regex: new RegExp(rule.find, rule.flags ?? "g"),
+          replace: rule.replace ?? "",
+        };
+      }
+      if (rule.strip !== undefined) {
+        const target = getStripTarget(rule.strip, context);
+        return target && {
+          type: "strip",
+          regex: new RegExp(target.pattern, target.flags),
+          hiddenLinks: target.hiddenLinks,
+        };
+      }
+      if (rule.append !== undefined) {
+        return { type: "append", text: String(rule.append) };
+      }
+      throw new Error(`Caption rule ${index + 1} in ${filePath} needs "find", "strip" or "append"`);
+    })
+    .filter(Boolean);
+};
+
+// "$1", "$<name>", "$&" and "$$" in a replacement, like String.prototype.replace
+const expandReplacement = (replace, match) =>
+  replace.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, ref, name) => {
+    if (ref === "$") return "$";
+    if (ref === "&") return match[0];
+    if (name !== undefined) return match.groups?.[name] ?? "";
+    return match[Number(ref)] ?? "";
+  });
+
+const cloneEntity = (entity, offset, length) =>
+  Object.assign(Object.create(Object.getPrototypeOf(entity)), entity, { offset, length });
+
+// Replace text ranges, moving and resizing the entities around them. Entities
+// left without text are dropped.
+const applyEdits = (text, entities, edits) => {
+  let result = text;
+  let moved = entities;
+  [...edits]
+    .sort((a, b) => b.start - a.start)
+    .forEach(({ start, end, replacement }) => {
+      const delta = replacement.length - (end - start);
+      const mapStart = (position) =>
+        position <= start ? position : position >= end ? position + delta : start;
+      const mapEnd = (position) =>
+        position <= start ? position : position >= end ? position + delta : start + replacement.length;
+
+      result = result.slice(0, start) + replacement + result.slice(end);
+      moved = moved
+        .map((entity) => {
+          const offset = mapStart(entity.offset);
+          return cloneEntity(entity, offset, mapEnd(entity.offset + entity.length) - offset);
+        })
+        .filter((entity) => entity.length > 0);
+    });
+  return { text: result, entities: moved };
+};
+
+const findEdits = (text, regex, getReplacement) =>
+  [...text.matchAll(regex.global ? regex : new RegExp(regex.source, `${regex.flags}g`))]
+    .filter((match) => match[0].length)
+    .map((match) => ({
+      start: match.index,
+      end: match.index + match[0].length,
+      replacement: getReplacement(match),
+    }));
+
+// Spaces and blank lines left behind by stripped text
+const CLEANUP = [
+  { regex: /[ \t]{2,}/g, replace: " " },
+  { regex: /[ \t]+$/gm, replace: "" },
+  { regex: /\n{3,}/g, replace: "\n\n" },
+  { regex: /^\s+|\s+$/g, replace: "" },
+];
+
+/**
+ * Rewrites the text of a message with caption rules.
+ * @param {string} text - The text or caption.
+ * @param {Array<Object>} entities - Its formatting entities (offset and length in UTF-16 code units).
+ * @param {Array<Object>} rules - Rules from loadCaptionRules.
+ * @param {Object} [options] - `append: false` skips append rules, e.g. for album items without the album caption.
+ * @returns {{text: string, entities: Array<Object>}} The rewritten text and entities.
+ */
+const rewriteCaption = (text, entities, rules, options = {}) => {
+  let caption = { text: text || "", entities: entities || [] };
+
+  rules.forEach((rule) => {
+    if (rule.type === "replace") {
+      caption = applyEdits(
+        caption.text,
+        caption.entities,
+        findEdits(caption.text, rule.regex, (match) => expandReplacement(rule.replace, match))
+      );
+    } else if (rule.type === "strip") {
+      caption = applyEdits(caption.text, caption.entities, findEdits(caption.text, rule.regex, () => ""));
+      if (rule.hiddenLinks) {
+        caption.entities = caption.entities.filter(
+          (entity) => !(entity.url && rule.hiddenLinks.test(entity.url))
+        );
+      }
+      CLEANUP.forEach(({ regex, replace }) => {
+        caption = applyEdits(caption.text, caption.entities, findEdits(caption.text, regex, () => replace));
+      });
+    } else if (rule.type === "append" && options.append !== false) {
+      caption = { text: caption.text + rule.text, entities: caption.entities };
+    }
+  });
+
+  return caption;
+};
+
+/**
+ * Moves formatting entities, e.g. when text is put before the caption.
+ * @param {Array<Object>} entities - The formatting entities.
+ * @param {number} by - The number of UTF-16 code units to move them by.
+ * @returns {Array<Object>} The moved entities.
+ */
+const shiftEntities = (entities, by) =>
+  entities.map((entity) => cloneEntity(entity, entity.offset + by, entity.length));
+
+module.exports = {
+  loadCaptionRules,
+  rewriteCaption,
+  shiftEntities,
+};
@@ -0,0 +1,50 @@
+/**
+ * Cuts a text into consecutive segments at every entity boundary. Every
+ * segment lists the entities covering it entirely, so overlapping and nested
+ * entities come out as flat runs of text.
+ *
+ * Offsets and lengths are in UTF-16 code units, like Telegram's and like JS strings.
+ *
+ * @param {string} text - The message text.
+ * @param {Array<{offset: number, length: number}>} [entities=[]] - The message entities.
+ * @returns {Array<{text: string, offset: number, entities: Array<Object>}>} The segments, covering the whole text.
+ */
+const splitByEntities = (text, entities = []) => {
+  const clamp = (n) => Math.min(Math.max(n, 0), text.length);
+  const boundaries = new Set([0, text.length]);
+  entities.forEach((entity) => {
+    boundaries.add(clamp(entity.offset));
+    boundaries.add(clamp(entity.offset + entity.length));
+  });
+
+  const points = [...boundaries].sort((a, b) => a - b);
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+    segments.push({
+      text: text.slice(start, end),
+      offset: start,
+      entities: entities.filter(
+        (e) => e.offset <= start && e.offset + e.length >= end
+      ),
+    });
+  }
+
+  return segments;
+};
+
+/**
+ * Returns the part of the text an entity covers.
+ *
+ * @param {string} text - The message text.
+ * @param {{offset: number, length: number}} entity - The entity.
+ * @returns {string} The covered text.
+ */
+const getEntityText = (text, entity) =>
+  text.slice(entity.offset, entity.offset + entity.length);
+
+module.exports = {
+  splitByEntities,
+  getEntityText,
+};
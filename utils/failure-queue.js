@@ -0,0 +1,95 @@
+const fs = require("fs");
+const path = require("path");
+
+const FAILURE_QUEUE_FILE = "failed.json";
+
+/**
+ * Returns the path of the failure queue of a channel export.
+ * @param {string} outputFolder - The channel export folder.
+ * @returns {string} The path to the failure queue.
+ */
+const getFailureQueuePath = (outputFolder) =>
+  path.join(outputFolder, FAILURE_QUEUE_FILE);
+
+const readQueue = (outputFolder) => {
+  const queuePath = getFailureQueuePath(outputFolder);
+  if (!fs.existsSync(queuePath)) return {};
+  return JSON.parse(fs.readFileSync(queuePath, "utf8"));
+};
+
+// Write through a temporary file, so an interrupted write never loses the queue
+const writeQueue = (outputFolder, queue) => {
+  const queuePath = getFailureQueuePath(outputFolder);
+  fs.mkdirSync(outputFolder, { recursive: true });
+  fs.writeFileSync(`${queuePath}.tmp`, JSON.stringify(queue, null, 2));
+  fs.renameSync(`${queuePath}.tmp`, queuePath);
+};
+
+// Uploads fail per target channel; keys without a target were written before
+// a message could be uploaded to several targets
+const getKey = (messageId, operation, targetChannelId) =>
+  targetChannelId ? `${operation}:${messageId}:${targetChannelId}` : `${operation}:${messageId}`;
+
+/**
+ * Records that downloading or uploading a message failed. Failing again
+ * updates the reason and counts the attempt.
+ * @param {string} outputFolder - The channel export folder.
+ * @param {number} messageId - The message ID.
+ * @param {"download"|"upload"} operation - What failed.
+ * @param {string} reason - The error message.
+ * @param {Object} [details] - Extra fields to keep, e.g. the upload target `targetChannelId`.
+ */
+const recordFailure = (outputFolder, messageId, operation, reason, details = {}) => {
+  const queue = readQueue(outputFolder);
+  const key = getKey(messageId, operation, details.targetChannelId);
+  const now = new Date().toISOString();
+
+  queue[key] = {
+    ...queue[key],
+    ...details,
+    messageId,
+    operation,
+    reason,
+    attempts: (queue[key]?.attempts || 0) + 1,
+    firstFailedAt: queue[key]?.firstFailedAt || now,
+    lastFailedAt: now,
+  };
+  writeQueue(outputFolder, queue);
+};
+
+/**
+ * Removes a message from the failure queue once the operation succeeded.
+ * @param {string} outputFolder - The channel export folder.
+ * @param {number} messageId - The message ID.
+ * @param {"download"|"upload"} operation - What succeeded.
+ * @param {number} [targetChannelId] - The target channel of an upload.
+ * @returns {boolean} Whether the message was queued.
+ */
+const resolveFailure = (outputFolder, messageId, operation, targetChannelId) => {
+  const queue = readQueue(outputFolder);
+  const keys = [getKey(messageId, operation, targetChannelId), getKey(messageId, operation)].filter(
+    (key) =>
+      queue[key] &&
+      (!targetChannelId || !queue[key].targetChannelId || String(queue[key].targetChannelId) === String(targetChannelId))
+  );
+  if (!keys.length) return false;
+
+  keys.forEach((key) => delete queue[key]);
+  writeQueue(outputFolder, queue);
+  return true;
+};
+
+/**
+ * Returns the queued failures of a channel, oldest message first.
+ * @param {string} outputFolder - The channel export folder.
+ * @returns {Array<Object>} The failures.
+ */
+const getFailures = (outputFolder) =>
+  Object.values(readQueue(outputFolder)).sort((a, b) => a.messageId - b.messageId);
+
+module.exports = {
+  FAILURE_QUEUE_FILE,
+  recordFailure,
+  resolveFailure,
+  getFailures,
+};
@@ -3,10 +3,11 @@ const path = require("path");
 const { logMessage } = require("./helper");
 
 const CONFIG_FILE = path.join(__dirname, "../config.json");
-const LAST_SELECTION_FILE = path.join(
+const LEGACY_SELECTION_FILE = path.join(
   __dirname,
   "../export/last_selection.json"
 );
+const EXPORT_FOLDER = path.join(process.cwd(), "export");
 
 /**
  * Reads the content of a file synchronously.
@@ -76,13 +77,14 @@ const getCredentials = () => {
 };
 
 /**
- * Retrieves the last selection from a file.
+ * Reads the single selection file written by older versions, which kept one
+ * global `{ channelId, messageOffsetId }` pair for all channels.
  *
- * @returns {Object} The last selection data parsed from the file. Returns an empty object if an error occurs.
+ * @returns {Object} The legacy selection. Returns an empty object if there is none.
  */
-const getLastSelection = () => {
+const getLegacySelection = () => {
   try {
-    const data = readFileSync(LAST_SELECTION_FILE, false);
+    const data = readFileSync(LEGACY_SELECTION_FILE, false);
     return JSON.parse(data);
   } catch (_) {
     return {};
@@ -90,26 +92,77 @@ const getLastSelection = () => {
 };
 
 /**
- * Updates the last selection with the provided object.
+ * Returns the path of the state file kept inside a channel's export folder.
  *
- * This function merges the provided object with the last selection
- * and writes the result to the LAST_SELECTION_FILE. If an error occurs
- * during the process, it logs an error message.
+ * @param {string|number} channelId - The ID of the channel.
+ * @returns {string} The path to the channel state file.
+ */
+const getChannelStateFile = (channelId) =>
+  path.join(EXPORT_FOLDER, channelId.toString(), "state.json");
+
+/**
+ * Retrieves the saved checkpoint of a channel.
  *
- * @param {Object} object - The object to merge with the last selection.
+ * The checkpoint holds the oldest message ID reached while walking back through
+ * the history, the newest message ID seen, running counts, the time of the last
+ * run and the options it used. A channel that only has progress in the legacy
+ * last_selection.json is seeded from it.
+ *
+ * @param {string|number} channelId - The ID of the channel.
+ * @returns {Object} The channel state. Returns an empty object if none was saved yet.
  */
-const updateLastSelection = (object) => {
+const getChannelState = (channelId) => {
   try {
-    const last = { ...getLastSelection(), ...object };
-    writeFileSync(LAST_SELECTION_FILE, last);
+    const data = readFileSync(getChannelStateFile(channelId), false);
+    return JSON.parse(data);
+  } catch (_) {
+    const legacy = getLegacySelection();
+    if (legacy.messageOffsetId && Number(legacy.channelId) === Number(channelId)) {
+      return { oldestMessageId: legacy.messageOffsetId };
+    }
+    return {};
+  }
+};
+
+/**
+ * Retrieves the saved checkpoints of every channel in the export folder.
+ *
+ * @returns {Array<Object>} The channel states, each with its `channelId`.
+ */
+const getAllChannelStates = () => {
+  if (!fs.existsSync(EXPORT_FOLDER)) return [];
+
+  return fs
+    .readdirSync(EXPORT_FOLDER, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .filter((entry) => fs.existsSync(getChannelStateFile(entry.name)))
+    .map((entry) => ({ channelId: entry.name, ...getChannelState(entry.name) }));
+};
+
+/**
+ * Merges the provided object into the saved state of a channel.
+ *
+ * @param {string|number} channelId - The ID of the channel.
+ * @param {Object} object - The object to merge with the channel state.
+ */
+const updateChannelState = (channelId, object) => {
+  try {
+    const stateFile = getChannelStateFile(channelId);
+    if (!fs.existsSync(path.dirname(stateFile))) {
+      fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    }
+
+    const state = { ...getChannelState(channelId), ...object };
+    writeFileSync(stateFile, state);
   } catch (err) {
-    logMessage.error("Failed to update last selection", err);
+    logMessage.error("Failed to update channel state", err);
   }
 };
 
 module.exports = {
   updateCredentials,
   getCredentials,
-  getLastSelection,
-  updateLastSelection,
+  getChannelState,
+  getAllChannelStates,
+  updateChannelState,
 };
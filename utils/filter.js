@@ -0,0 +1,253 @@
+const {
+  getMediaType,
+  getMediaSize,
+  getMediaExtension,
+  MEDIA_TYPES,
+} = require("./helper");
+
+// Filter expressions select the messages a command processes, e.g.
+//   type:video AND size>50MB AND date>=2024-01-01 AND text~"lecture"
+// Terms are `field operator value` and combine with AND, OR, NOT and
+// parentheses. Terms next to each other without an operator are ANDed.
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+const TERM_PATTERN = /^([a-zA-Z_-]+)(>=|<=|!=|>|<|=|:|~)("(?:[^"\\]|\\.)*"|\/(?:[^/\\]|\\.)*\/[a-z]*|[^\s()]+)/;
+
+const invalid = (message) => new Error(`Invalid filter: ${message}`);
+
+// Split the expression into parentheses, keywords and terms
+const tokenize = (expression) => {
+  const tokens = [];
+  let rest = expression.trim();
+
+  while (rest.length) {
+    if (rest[0] === "(" || rest[0] === ")") {
+      tokens.push({ kind: rest[0] });
+      rest = rest.slice(1);
+    } else {
+      const keyword = /^(AND|OR|NOT)(?=[\s()]|$)/i.exec(rest);
+      const term = TERM_PATTERN.exec(rest);
+      if (keyword) {
+        tokens.push({ kind: keyword[1].toUpperCase() });
+        rest = rest.slice(keyword[0].length);
+      } else if (term) {
+        tokens.push({ kind: "term", field: term[1].toLowerCase(), op: term[2], value: term[3] });
+        rest = rest.slice(term[0].length);
+      } else {
+        throw invalid(`cannot understand "${rest.split(/\s/)[0]}"`);
+      }
+    }
+    rest = rest.trimStart();
+  }
+
+  return tokens;
+};
+
+// Strip the quotes of a quoted value
+const unquote = (value) =>
+  value.startsWith('"') ? value.slice(1, -1).replace(/\\(.)/g, "$1") : value;
+
+// Case-insensitive regex from a quoted value, or /pattern/flags as written
+const parseRegex = (value) => {
+  const literal = /^\/(.*)\/([a-z]*)$/.exec(value);
+  try {
+    return literal
+      ? new RegExp(literal[1], literal[2].replace("g", ""))
+      : new RegExp(unquote(value), "i");
+  } catch (err) {
+    throw invalid(`bad regular expression ${value}: ${err.message}`);
+  }
+};
+
+// "50MB" -> 52428800
+const parseSize = (value) => {
+  const match = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i.exec(unquote(value));
+  if (!match) throw invalid(`bad size "${value}", use e.g. 500KB or 1.5GB`);
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || "B").toUpperCase()]);
+};
+
+// "2024-01-01" or "2024-01-01T12:00" -> unix seconds, in local time
+const parseDate = (value) => {
+  const text = unquote(value);
+  const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00` : text);
+  if (Number.isNaN(time)) throw invalid(`bad date "${value}", use YYYY-MM-DD`);
+  return Math.floor(time / 1000);
+};
+
+const compare = (actual, op, expected) => {
+  if (actual === null || actual === undefined) return op === "!=";
+  switch (op) {
+    case ">": return actual > expected;
+    case ">=": return actual >= expected;
+    case "<": return actual < expected;
+    case "<=": return actual <= expected;
+    case "!=": return actual !== expected;
+    default: return actual === expected;
+  }
+};
+
+// Media type of a message as filters see it: voice notes apart from audio, "text" without media
+const getFilterType = (message) => {
+  if (!message.media) return "text";
+  const voice = message.media.document?.attributes?.some(
+    (a) => a.className === "DocumentAttributeAudio" && a.voice
+  );
+  return voice ? "voice" : getMediaType(message);
+};
+
+const getForwardSources = (message) => {
+  const { fwdFrom } = message;
+  if (!fwdFrom) return [];
+
+  const peer = fwdFrom.fromId;
+  const sources = [fwdFrom.fromName, fwdFrom.postAuthor];
+  if (peer?.channelId) sources.push(`-100${peer.channelId}`, String(peer.channelId));
+  if (peer?.chatId) sources.push(`-${peer.chatId}`, String(peer.chatId));
+  if (peer?.userId) sources.push(String(peer.userId));
+  return sources.filter(Boolean).map((s) => s.toLowerCase());
+};
+
+/**
+ * Builds the predicate of a single term.
+ * @param {{field: string, op: string, value: string}} term - The parsed term.
+ * @returns {function(Object): boolean} The predicate.
+ */
+const buildTerm = ({ field, op, value }) => {
+  const equalityOnly = () => {
+    if (![":", "=", "!="].includes(op)) throw invalid(`${field} only supports :, = and !=`);
+  };
+  const negate = (predicate) => (op === "!=" ? (m) => !predicate(m) : predicate);
+
+  switch (field) {
+    case "type": {
+      equalityOnly();
+      let type = unquote(value).toLowerCase();
+      if (type === "photo") type = MEDIA_TYPES.IMAGE;
+      return negate((m) => getFilterType(m) === type);
+    }
+    case "ext":
+    case "extension": {
+      equalityOnly();
+      const extensions = unquote(value).toLowerCase().replace(/\./g, "").split(",");
+      return negate((m) => extensions.includes(getMediaExtension(m)));
+    }
+    case "size": {
+      const size = parseSize(value);
+      return (m) => compare(getMediaSize(m), op === ":" ? "=" : op, size);
+    }
+    case "date": {
+      const time = parseDate(value);
+      if (op === ":" || op === "=") {
+        const dayEnd = time + 24 * 60 * 60;
+        return (m) => m.date >= time && m.date < dayEnd;
+      }
+      return (m) => compare(m.date, op, time);
+    }
+    case "views":
+      return (m) => compare(m.views ?? null, op === ":" ? "=" : op, Number(unquote(value)));
+    case "text": {
+      if (op === "~") {
+        const regex = parseRegex(value);
+        return (m) => regex.test(m.message || "");
+      }
+      equalityOnly();
+      const needle = unquote(value).toLowerCase();
+      return negate((m) => (m.message || "").toLowerCase().includes(needle));
+    }
+    case "hashtag": {
+      equalityOnly();
+      const tag = unquote(value).replace(/^#/, "").toLowerCase();
+      return negate((m) =>
+        ((m.message || "").match(/#[\p{L}\p{N}_]+/gu) || [])
+          .some((t) => t.slice(1).toLowerCase() === tag)
+      );
+    }
+    case "sender": {
+      equalityOnly();
+      const sender = unquote(value).toLowerCase();
+      return negate((m) =>
+        [m.fromId?.userId?.toString(), m.postAuthor?.toLowerCase()].includes(sender)
+      );
+    }
+    case "forwarded": {
+      equalityOnly();
+      const source = unquote(value).toLowerCase();
+      return negate((m) =>
+        source === "*" ? Boolean(m.fwdFrom) : getForwardSources(m).includes(source)
+      );
+    }
+    case "has": {
+      equalityOnly();
+      const what = unquote(value).toLowerCase();
+      const checks = {
+        caption: (m) => Boolean(m.message && m.message.trim()),
+        media: (m) => Boolean(m.media),
+      };
+      if (!checks[what]) throw invalid(`has: supports ${Object.keys(checks).join(", ")}`);
+      return negate(checks[what]);
+    }
+    default:
+      throw invalid(`unknown field "${field}"`);
+  }
+};
+
+/**
+ * Parses a filter expression into a predicate over Telegram messages.
+ *
+ * @param {string} expression - The filter expression.
+ * @returns {function(Object): boolean} Returns true for messages matching the filter.
+ * @throws {Error} If the expression is not valid.
+ */
+const parseFilter = (expression) => {
+  const tokens = tokenize(expression);
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const parseOr = () => {
+    const operands = [parseAnd()];
+    while (peek()?.kind === "OR") {
+      next();
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : (m) => operands.some((p) => p(m));
+  };
+
+  const parseAnd = () => {
+    const operands = [parseNot()];
+    while (peek() && peek().kind !== "OR" && peek().kind !== ")") {
+      if (peek().kind === "AND") next();
+      operands.push(parseNot());
+    }
+    return operands.length === 1 ? operands[0] : (m) => operands.every((p) => p(m));
+  };
+
+  const parseNot = () => {
+    if (peek()?.kind === "NOT") {
+      next();
+      const operand = parseNot();
+      return (m) => !operand(m);
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) throw invalid("unexpected end of expression");
+    if (token.kind === "(") {
+      const inner = parseOr();
+      if (next()?.kind !== ")") throw invalid("missing )");
+      return inner;
+    }
+    if (token.kind === "term") return buildTerm(token);
+    throw invalid(`unexpected ${token.kind}`);
+  };
+
+  const predicate = parseOr();
+  if (position < tokens.length) throw invalid(`unexpected ${peek().kind}`);
+  return predicate;
+};
+
+module.exports = {
+  parseFilter,
+};
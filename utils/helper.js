@@ -57,42 +57,57 @@ const getMediaType = (message) => {
   return MEDIA_TYPES.OTHERS;
 };
 
-// Check if a file already exists
-const checkFileExist = (message, outputFolder) => {
-  if (!message || !message.media) return false;
+// Get the size in bytes of the largest (last) size of a photo, the one downloaded, null if unknown
+const getPhotoSize = (photo) => {
+  const sizes = photo?.sizes;
+  if (!sizes?.length) return null;
 
-  let fileName = `${message.id}_file`;
-  const { media } = message;
+  const largest = sizes[sizes.length - 1];
+  if (largest.sizes?.length) return Math.max(...largest.sizes); // PhotoSizeProgressive
+  if (largest.size !== undefined) return largest.size;
+  return null;
+};
 
-  if (media.document) {
-    const docAttributes = media.document.attributes;
-    if (docAttributes) {
-      const fileNameObj = docAttributes.find(
-        (e) => e.className === "DocumentAttributeFilename"
-      );
-      if (fileNameObj) {
-        fileName = fileNameObj.fileName;
-      } else {
-        const ext = mimeDB[media.document.mimeType]?.extensions[0];
-        if (ext) fileName += `.${ext}`;
-      }
-    }
-  }
+// Get the size in bytes of the file attached to a message, null if unknown
+const getMediaSize = (message) => {
+  const media = message?.media;
+  if (!media) return null;
 
-  if (media.video) fileName += ".mp4";
-  if (media.audio) fileName += ".mp3";
-  if (media.photo) fileName += ".jpg";
+  if (media.document?.size !== undefined) return Number(media.document.size);
+  return getPhotoSize(media.photo);
+};
+
+// Get the lowercase file extension of a message's media, without the dot
+const getMediaExtension = (message) => {
+  const media = message?.media;
+  if (!media) return null;
+  if (media.photo) return "jpg";
 
-  const folderType = filterString(getMediaType(message));
-  const filePath = path.join(outputFolder, folderType, fileName);
+  const document = media.document;
+  if (!document) return null;
 
-  return fs.existsSync(filePath);
+  const fileNameObj = (document.attributes || []).find(
+    (e) => e.className === "DocumentAttributeFilename"
+  );
+  const ext = fileNameObj
+    ? path.extname(fileNameObj.fileName).slice(1)
+    : mimeDB[document.mimeType]?.extensions?.[0];
+
+  return ext ? ext.toLowerCase() : null;
 };
 
-// Get the path to save the media file
-const getMediaPath = (message, outputFolder) => {
-  if (!message || !message.media) return "unknown";
+// Check if a file already exists
+// options.folderName overrides the per-media-type folder, options.relativePath the whole path below outputFolder
+const checkFileExist = (message, outputFolder, options = {}) => {
+  if (!message || !message.media) return false;
 
+  if (fs.existsSync(getSavedMediaPath(message, outputFolder, options))) return true;
+  // Downloaded before for another message or channel, see utils/media-index.js
+  return Boolean(options.mediaIndex?.find(message));
+};
+
+// Get the default file name of the media, the original name where Telegram has one
+const getMediaFileName = (message) => {
   let fileName = `${message.id}_file`;
   const { media } = message;
 
@@ -115,17 +130,33 @@ const getMediaPath = (message, outputFolder) => {
   if (media.audio) fileName += ".mp3";
   if (media.photo) fileName += ".jpg";
 
-  const folderType = filterString(getMediaType(message));
-  const filePath = path.join(outputFolder, folderType, fileName);
+  return fileName;
+};
+
+// Get the path a media file is saved under when its name is not taken yet
+// options.folderName overrides the per-media-type folder, options.relativePath the whole path below outputFolder
+const getSavedMediaPath = (message, outputFolder, options = {}) => {
+  if (!message || !message.media) return "unknown";
+  if (options.relativePath) return path.join(outputFolder, options.relativePath);
+
+  const folderType = options.folderName || filterString(getMediaType(message));
+  return path.join(outputFolder, folderType, getMediaFileName(message));
+};
+
+// Get the path to save the media file
+// options.folderName overrides the per-media-type folder, options.relativePath the whole path below outputFolder
+// options.reservedPaths holds paths other downloads still write to, which count as taken
+const getMediaPath = (message, outputFolder, options = {}) => {
+  if (!message || !message.media) return "unknown";
 
-  if (fs.existsSync(filePath)) {
-    logMessage.info(`File already exists: ${filePath}, Changing name`);
-    const ext = path.extname(filePath);
-    const baseName = path.basename(filePath, ext);
-    fileName = `${baseName}_${message.id}${ext}`;
+  let finalPath = getSavedMediaPath(message, outputFolder, options);
+  if (fs.existsSync(finalPath) || options.reservedPaths?.has(finalPath)) {
+    logMessage.info(`File already exists: ${finalPath}, Changing name`);
+    const ext = path.extname(finalPath);
+    const baseName = path.basename(finalPath, ext);
+    finalPath = path.join(path.dirname(finalPath), `${baseName}_${message.id}${ext}`);
   }
 
-  const finalPath = path.join(outputFolder, folderType, fileName);
   if (!fs.existsSync(path.dirname(finalPath))) {
     fs.mkdirSync(path.dirname(finalPath), { recursive: true });
   }
@@ -186,32 +217,57 @@ const circularStringify = (obj, indent = 2) => {
   return retVal;
 };
 
-// Append data to a JSON array file
-const appendToJSONArrayFile = (filePath, dataToAppend) => {
+// Append items to a JSON Lines file, one item per line, flushed to disk before returning
+const appendToJSONLinesFile = (filePath, items) => {
+  const lines = items.map((item) => circularStringify(item, null)).join("\n");
+  const fd = fs.openSync(filePath, "a+");
   try {
-    if (!fs.existsSync(filePath)) {
-      fs.writeFileSync(filePath, circularStringify(dataToAppend, null, 2));
-    } else {
-      const data = fs.readFileSync(filePath);
-      const json = JSON.parse(data);
-      json.push(dataToAppend);
-      fs.writeFileSync(filePath, circularStringify(json, null, 2));
-    }
-  } catch (e) {
-    logMessage.error(`Error appending to JSON Array file ${filePath}`);
-    console.error(e);
+    // Start on a fresh line if a previous write was cut off halfway
+    const { size } = fs.fstatSync(fd);
+    const lastByte = Buffer.alloc(1);
+    if (size > 0) fs.readSync(fd, lastByte, 0, 1, size - 1);
+    const separator = size > 0 && lastByte.toString() !== "\n" ? "\n" : "";
+
+    fs.writeSync(fd, `${separator}${lines}\n`);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
   }
 };
 
+// Read all items of a JSON Lines file, skipping a line left incomplete by an interrupted write
+const readJSONLinesFile = (filePath) => {
+  if (!fs.existsSync(filePath)) return [];
+
+  const items = [];
+  const lines = fs.readFileSync(filePath, "utf8").split("\n");
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      items.push(JSON.parse(line));
+    } catch (e) {
+      logMessage.error(`Skipping unreadable line ${index + 1} in ${filePath}`);
+    }
+  });
+
+  return items;
+};
+
 module.exports = {
   getMediaType,
+  getMediaSize,
+  getPhotoSize,
+  getMediaExtension,
   checkFileExist,
+  getMediaFileName,
+  getSavedMediaPath,
   getMediaPath,
   getDialogType,
   logMessage,
   wait,
   filterString,
-  appendToJSONArrayFile,
+  appendToJSONLinesFile,
+  readJSONLinesFile,
   circularStringify,
   MEDIA_TYPES,
 };
@@ -0,0 +1,77 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { appendToJSONLinesFile, readJSONLinesFile } = require("./helper");
+
+const MANIFEST_FILE = "manifest.jsonl";
+
+/**
+ * Returns the path of the checksum manifest of a channel export.
+ * @param {string} outputFolder - The channel export folder.
+ * @returns {string} The path to the manifest.
+ */
+const getManifestPath = (outputFolder) => path.join(outputFolder, MANIFEST_FILE);
+
+/**
+ * Computes the SHA-256 of a file without reading it into memory at once.
+ * @param {string} filePath - The file to hash.
+ * @returns {Promise<string>} The hex digest.
+ */
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+/**
+ * Hashes a downloaded file and appends it to the manifest of the channel, with
+ * the identity of the Telegram file it was downloaded from.
+ * @param {string} outputFolder - The channel export folder.
+ * @param {Object} message - The Telegram message the file belongs to.
+ * @param {string} mediaPath - Where the file was saved.
+ * @param {string} [sha256] - The SHA-256 of the file, if it is already known.
+ * @returns {Promise<Object>} The manifest entry.
+ */
+const addManifestEntry = async (outputFolder, message, mediaPath, sha256 = null) => {
+  const media = message.media || {};
+  const source = media.document || media.photo || media.webpage?.photo;
+
+  const entry = {
+    messageId: message.id,
+    file: path.relative(outputFolder, mediaPath),
+    size: fs.statSync(mediaPath).size,
+    sha256: sha256 || await hashFile(mediaPath),
+    fileType: media.document ? "document" : "photo",
+    documentId: source?.id?.toString(),
+    accessHash: source?.accessHash?.toString(),
+    downloadedAt: new Date().toISOString(),
+  };
+
+  appendToJSONLinesFile(getManifestPath(outputFolder), [entry]);
+  return entry;
+};
+
+/**
+ * Reads the manifest of a channel export. A file downloaded more than once
+ * keeps its latest entry.
+ * @param {string} outputFolder - The channel export folder.
+ * @returns {Map<string, Object>} Manifest entries by relative file path.
+ */
+const loadManifest = (outputFolder) => {
+  const entries = new Map();
+  readJSONLinesFile(getManifestPath(outputFolder)).forEach((entry) => {
+    entries.set(entry.file, entry);
+  });
+  return entries;
+};
+
+module.exports = {
+  MANIFEST_FILE,
+  getManifestPath,
+  hashFile,
+  addManifestEntry,
+  loadManifest,
+};
@@ -0,0 +1,124 @@
+const fs = require("fs");
+const path = require("path");
+const { loadManifest } = require("./manifest");
+
+// The checksum manifests of all channel archives already record which Telegram
+// document or photo every file was downloaded from, with its size and SHA-256,
+// so the index is built from them instead of keeping a file of its own.
+
+const getSourceKey = (fileType, documentId) =>
+  documentId ? `${fileType}:${documentId}` : null;
+
+// Link previews are saved as sidecar files, so only documents and photos count
+const getMessageSourceKey = (message) => {
+  const media = message?.media || {};
+  if (media.document) return getSourceKey("document", media.document.id?.toString());
+  if (media.photo) return getSourceKey("photo", media.photo.id?.toString());
+  return null;
+};
+
+const getContentKey = (size, sha256) => `${size}:${sha256}`;
+
+// The file is still there, with the size it had when it was indexed
+const isIntact = (indexed) => {
+  try {
+    return fs.statSync(indexed.path).size === indexed.size;
+  } catch (_) {
+    return false;
+  }
+};
+
+/**
+ * Opens the content index of every channel archive in the export folder.
+ * Files are found by the Telegram document or photo they were downloaded
+ * from, or by size and SHA-256 when the same file was uploaded more than once.
+ * @param {string} exportFolder - The folder holding the channel archives.
+ * @returns {Object} The index:
+ *   - `find(message)`: path of an intact copy of the message media, or null
+ *   - `has(message)`: whether the message media was archived, even if its file was deleted since
+ *   - `findContent(entry, excludePath)`: path of another intact file with the size and SHA-256 of a manifest entry, or null
+ *   - `add(entry, filePath)`: adds a manifest entry of a file
+ */
+const openMediaIndex = (exportFolder) => {
+  const bySource = new Map();
+  const byContent = new Map();
+
+  const add = (entry, filePath) => {
+    const indexed = { path: filePath, size: entry.size };
+    const sourceKey = getSourceKey(entry.fileType, entry.documentId);
+    if (sourceKey) bySource.set(sourceKey, indexed);
+    if (entry.sha256) byContent.set(getContentKey(entry.size, entry.sha256), indexed);
+  };
+
+  if (fs.existsSync(exportFolder)) {
+    fs.readdirSync(exportFolder, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .forEach((entry) => {
+        const outputFolder = path.join(exportFolder, entry.name);
+        loadManifest(outputFolder).forEach((manifestEntry) => {
+          add(manifestEntry, path.join(outputFolder, manifestEntry.file));
+        });
+      });
+  }
+
+  return {
+    find(message) {
+      const indexed = bySource.get(getMessageSourceKey(message));
+      return indexed && isIntact(indexed) ? indexed.path : null;
+    },
+
+    has(message) {
+      return bySource.has(getMessageSourceKey(message));
+    },
+
+    findContent(entry, excludePath) {
+      const indexed = byContent.get(getContentKey(entry.size, entry.sha256));
+      if (!indexed || indexed.path === excludePath || !isIntact(indexed)) return null;
+      return indexed.path;
+    },
+
+    add,
+  };
+};
+
+/**
+ * Puts a hard link to an archived file at the path of another message. Where
+ * linking is not possible (e.g. across drives), the archived file is
+ * referenced instead.
+ * @param {string} archivedPath - The archived file.
+ * @param {string} mediaPath - Where the message media would be saved.
+ * @returns {string} The path the message should point at.
+ */
+const linkArchivedFile = (archivedPath, mediaPath) => {
+  try {
+    fs.linkSync(archivedPath, mediaPath);
+    return mediaPath;
+  } catch (_) {
+    return archivedPath;
+  }
+};
+
+/**
+ * Replaces a downloaded file by a hard link to an identical archived file.
+ * The file is kept as it is where linking is not possible.
+ * @param {string} archivedPath - The archived file.
+ * @param {string} mediaPath - The downloaded file.
+ * @returns {boolean} Whether the file was replaced.
+ */
+const replaceWithLink = (archivedPath, mediaPath) => {
+  const linkPath = `${mediaPath}.link`;
+  try {
+    fs.linkSync(archivedPath, linkPath);
+    fs.renameSync(linkPath, mediaPath);
+    return true;
+  } catch (_) {
+    fs.rmSync(linkPath, { force: true });
+    return false;
+  }
+};
+
+module.exports = {
+  openMediaIndex,
+  linkArchivedFile,
+  replaceWithLink,
+};
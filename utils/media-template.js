@@ -0,0 +1,124 @@
+const path = require("path");
+const {
+  getMediaType,
+  getMediaExtension,
+  getMediaFileName,
+  filterString,
+} = require("./helper");
+
+// Media path templates decide where files are saved below the channel folder, e.g.
+//   {date:YYYY}/{date:MM}/{id}_{original_name}.{ext}
+// Every placeholder value is sanitized, so only the "/" written in the
+// template itself create folders.
+
+const PLACEHOLDER_PATTERN = /\{([a-z_]+)(?::([^}]*))?\}/g;
+const MAX_SEGMENT_LENGTH = 120;
+const MAX_SLUG_LENGTH = 50;
+// Names Windows refuses as files or folders, whatever the extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// "YYYY-MM-DD" -> "2024-03-15", in local time
+const formatDate = (unixSeconds, format = "YYYY-MM-DD") => {
+  const date = new Date(unixSeconds * 1000);
+  const tokens = {
+    YYYY: date.getFullYear(),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+  };
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => tokens[token]);
+};
+
+// "Lecture 3: Intro!" -> "lecture-3-intro"
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Makes a string safe as a single file or folder name on every platform:
+ * no separators, control or reserved characters, no leading dots, no
+ * trailing dots or spaces and no reserved Windows names. Long names are
+ * shortened, keeping their extension.
+ * @param {string} name - The name.
+ * @returns {string} The sanitized name, empty if nothing was left.
+ */
+const sanitizeName = (name) => {
+  let clean = String(name)
+    .normalize("NFC")
+    .replace(/[\u0000-\u001f<>:"/\\|?*]/g, "_")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s.]+|[\s.]+$/g, "");
+
+  if (clean.length > MAX_SEGMENT_LENGTH) {
+    const ext = path.extname(clean).slice(0, 16);
+    clean = clean.slice(0, MAX_SEGMENT_LENGTH - ext.length).trim() + ext;
+  }
+  return RESERVED_NAMES.test(clean) ? `_${clean}` : clean;
+};
+
+// Values of the placeholders; context holds the channel and the media folder
+const PLACEHOLDERS = {
+  id: (message) => message.id,
+  channel_id: (message, context) => context.channel?.id,
+  channel_username: (message, context) => context.channel?.username || context.channel?.id,
+  channel_title: (message, context) => context.channel?.title || context.channel?.id,
+  date: (message, context, format) => formatDate(message.date, format || undefined),
+  sender: (message) =>
+    message.postAuthor || message.fromId?.userId?.toString() || message.fromId?.channelId?.toString(),
+  album_id: (message) => message.groupedId?.toString(),
+  caption_slug: (message) => slugify(message.message || ""),
+  media_type: (message) => getMediaType(message),
+  folder: (message, context) => context.folderName || filterString(getMediaType(message)),
+  original_name: (message) => {
+    const fileName = getMediaFileName(message);
+    return fileName.startsWith(`${message.id}_file`)
+      ? getMediaType(message)
+      : path.basename(fileName, path.extname(fileName));
+  },
+  ext: (message) => getMediaExtension(message) || "bin",
+};
+
+/**
+ * Checks that a media path template only uses known placeholders.
+ * @param {string} template - The template.
+ * @throws {Error} If a placeholder is unknown.
+ */
+const validateMediaTemplate = (template) => {
+  for (const [placeholder, name] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!PLACEHOLDERS[name]) {
+      throw new Error(
+        `Unknown placeholder ${placeholder} in media template, use one of: ${Object.keys(PLACEHOLDERS).map((p) => `{${p}}`).join(", ")}`
+      );
+    }
+  }
+};
+
+/**
+ * Renders the path of a media file below the channel folder.
+ * @param {string} template - The template, see validateMediaTemplate.
+ * @param {Object} message - The Telegram message.
+ * @param {Object} [context] - `channel` ({ id, username, title }) and `folderName` (media folder of the export format).
+ * @returns {string} The relative path; empty folders are left out.
+ */
+const renderMediaTemplate = (template, message, context = {}) => {
+  const rendered = template.replace(PLACEHOLDER_PATTERN, (placeholder, name, argument) =>
+    sanitizeName(PLACEHOLDERS[name](message, context, argument) ?? "")
+  );
+
+  const segments = rendered.split("/").map(sanitizeName).filter(Boolean);
+  if (!segments.length) segments.push(`${message.id}_file`);
+  return path.join(...segments);
+};
+
+module.exports = {
+  sanitizeName,
+  validateMediaTemplate,
+  renderMediaTemplate,
+};
@@ -0,0 +1,157 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  appendToJSONLinesFile,
+  readJSONLinesFile,
+  logMessage,
+} = require("./helper");
+
+const MESSAGE_LOG_FILE = "messages.jsonl";
+const COMPACT_FILE = "all_messages.json";
+
+/**
+ * Returns the path of the append-only message log of a channel export.
+ * @param {string} outputFolder - The channel export folder.
+ * @returns {string} The path to the message log.
+ */
+const getMessageLogPath = (outputFolder) =>
+  path.join(outputFolder, MESSAGE_LOG_FILE);
+
+/**
+ * Moves messages from an all_messages.json written by older versions into the
+ * message log, so compacting never overwrites them. Those files hold one array
+ * element per batch, so nested arrays are flattened.
+ * @param {string} outputFolder - The channel export folder.
+ */
+const migrateLegacyMessages = (outputFolder) => {
+  const legacyPath = path.join(outputFolder, COMPACT_FILE);
+  if (!fs.existsSync(legacyPath)) return;
+
+  try {
+    const legacy = JSON.parse(fs.readFileSync(legacyPath, "utf8"));
+    const records = [legacy].flat(Infinity).filter(Boolean);
+    if (records.length) {
+      appendToJSONLinesFile(getMessageLogPath(outputFolder), records);
+      logMessage.info(`Moved ${records.length} messages from ${legacyPath} into the message log`);
+    }
+  } catch (err) {
+    logMessage.error(`Could not read ${legacyPath}, leaving it untouched`);
+  }
+};
+
+/**
+ * Appends message records to the log of a channel export. Each record takes
+ * one line and the batch is flushed to disk before returning.
+ * @param {string} outputFolder - The channel export folder.
+ * @param {Array<Object>} records - The message records to append.
+ */
+const appendMessages = (outputFolder, records) => {
+  if (!records.length) return;
+
+  if (!fs.existsSync(outputFolder)) {
+    fs.mkdirSync(outputFolder, { recursive: true });
+  }
+
+  const logPath = getMessageLogPath(outputFolder);
+  if (!fs.existsSync(logPath)) {
+    migrateLegacyMessages(outputFolder);
+  }
+
+  appendToJSONLinesFile(logPath, records);
+};
+
+/**
+ * Marks messages of a channel export as deleted in the source. Their records
+ * and files stay in the archive.
+ * @param {string} outputFolder - The channel export folder.
+ * @param {Array<number>} messageIds - The deleted messages.
+ */
+const markDeleted = (outputFolder, messageIds) => {
+  const deletedAt = new Date().toISOString();
+  appendMessages(outputFolder, messageIds.map((id) => ({ id, deleted: true, deletedAt })));
+};
+
+/**
+ * Reads which messages the log of a channel export holds, each once however
+ * often it was logged.
+ * @param {string} outputFolder - The channel export folder.
+ * @returns {Set<number>} The logged message IDs.
+ */
+const loadMessageIds = (outputFolder) =>
+  new Set(
+    readJSONLinesFile(getMessageLogPath(outputFolder))
+      .filter((record) => !record.deleted)
+      .map((record) => record.id)
+  );
+
+// What an edit changes; records logged again without an edit (e.g. by a re-run) match
+const getRevisionKey = (record) =>
+  JSON.stringify([record.editDate || null, record.message || "", record.entities || [], record.media?.documentId || null]);
+
+/**
+ * Reads the message log of a channel export. A message logged more than once
+ * keeps its latest record; earlier versions of edited messages are kept in
+ * `revisions`, oldest first, and deleted messages carry `deletedAt`.
+ * @param {string} outputFolder - The channel export folder.
+ * @returns {Array<Object>} The message records sorted by message ID.
+ */
+const loadMessages = (outputFolder) => {
+  const byId = new Map();
+  readJSONLinesFile(getMessageLogPath(outputFolder)).forEach((record) => {
+    const previous = byId.get(record.id);
+    if (record.deleted) {
+      if (previous) byId.set(record.id, { ...previous, deletedAt: record.deletedAt });
+      return;
+    }
+    if (!previous) {
+      byId.set(record.id, record);
+      return;
+    }
+
+    const { revisions = [], deletedAt } = previous;
+    if (getRevisionKey(previous) !== getRevisionKey(record)) {
+      const { editDate, message, entities, media } = previous;
+      revisions.push({ editDate, message, entities, media });
+    }
+    byId.set(record.id, {
+      ...record,
+      ...(revisions.length && { revisions }),
+      ...(deletedAt && { deletedAt }),
+    });
+  });
+
+  return [...byId.values()].sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Builds all_messages.json, a flat JSON array of every logged message, from
+ * the message log. The file is written next to the final one and renamed, so
+ * an interrupted run never leaves a half-written array behind.
+ * @param {string} outputFolder - The channel export folder.
+ * @returns {number} The number of messages written, 0 if the channel has no log.
+ */
+const compactMessages = (outputFolder) => {
+  if (!fs.existsSync(getMessageLogPath(outputFolder))) {
+    migrateLegacyMessages(outputFolder);
+  }
+  if (!fs.existsSync(getMessageLogPath(outputFolder))) return 0;
+
+  const messages = loadMessages(outputFolder);
+  const compactPath = path.join(outputFolder, COMPACT_FILE);
+  const tempPath = `${compactPath}.tmp`;
+
+  fs.writeFileSync(tempPath, JSON.stringify(messages, null, 2));
+  fs.renameSync(tempPath, compactPath);
+
+  return messages.length;
+};
+
+module.exports = {
+  MESSAGE_LOG_FILE,
+  getMessageLogPath,
+  appendMessages,
+  markDeleted,
+  loadMessageIds,
+  loadMessages,
+  compactMessages,
+};
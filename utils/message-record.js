@@ -0,0 +1,152 @@
+const path = require("path");
+const { getMediaType, getMediaSize } = require("./helper");
+
+// Bump whenever the shape of a message record changes. Records written before
+// versioning was introduced carry no schemaVersion at all.
+const MESSAGE_SCHEMA_VERSION = 1;
+
+// "MessageEntityTextUrl" -> "textUrl", "PeerChannel" -> "channel"
+const shortClassName = (className, prefix) => {
+  const name = className.slice(prefix.length);
+  return name.charAt(0).toLowerCase() + name.slice(1);
+};
+
+// Serialize a Peer (PeerUser, PeerChat or PeerChannel) as { type, id }
+const serializePeer = (peer) => {
+  if (!peer) return null;
+
+  const id = peer.userId ?? peer.chatId ?? peer.channelId;
+  return {
+    type: shortClassName(peer.className, "Peer"),
+    id: id?.toString(),
+  };
+};
+
+// Serialize formatting entities, keeping the fields that carry extra data
+const serializeEntities = (entities = []) =>
+  entities.map((entity) => ({
+    type: shortClassName(entity.className, "MessageEntity"),
+    offset: entity.offset,
+    length: entity.length,
+    url: entity.url,
+    userId: entity.userId?.toString(),
+    language: entity.language || undefined,
+    documentId: entity.documentId?.toString(),
+  }));
+
+const serializeReplyTo = (replyTo) => {
+  if (!replyTo?.replyToMsgId) return null;
+
+  return {
+    messageId: replyTo.replyToMsgId,
+    topId: replyTo.replyToTopId,
+    peer: serializePeer(replyTo.replyToPeerId),
+    quoteText: replyTo.quoteText,
+  };
+};
+
+const serializeForward = (fwdFrom) => {
+  if (!fwdFrom) return null;
+
+  return {
+    from: serializePeer(fwdFrom.fromId),
+    fromName: fwdFrom.fromName,
+    date: fwdFrom.date,
+    channelPost: fwdFrom.channelPost,
+    postAuthor: fwdFrom.postAuthor,
+  };
+};
+
+const serializeReactions = (reactions) =>
+  (reactions?.results || []).map(({ reaction, count }) => ({
+    emoji: reaction.emoticon,
+    documentId: reaction.documentId?.toString(),
+    paid: reaction.className === "ReactionPaid" || undefined,
+    count,
+  }));
+
+// Serialize inline and reply keyboards as rows of buttons
+const serializeButtons = (replyMarkup) =>
+  (replyMarkup?.rows || []).map((row) =>
+    row.buttons.map((button) => ({
+      type: shortClassName(button.className, "KeyboardButton") || "text",
+      text: button.text,
+      url: button.url,
+      data: button.data ? Buffer.from(button.data).toString("base64") : undefined,
+    }))
+  );
+
+// Describe the attached file: where it was saved, its size, type and dimensions
+const serializeMedia = (message, outputFolder, mediaPath) => {
+  if (!message.media) return null;
+
+  const { document, photo } = message.media;
+  const attributes = document?.attributes || [];
+  const visual = attributes.find((a) => a.w && a.h);
+  const timed = attributes.find((a) => a.duration !== undefined);
+  const fileName = attributes.find((a) => a.className === "DocumentAttributeFilename");
+
+  return {
+    file: mediaPath ? path.relative(outputFolder, mediaPath) : undefined,
+    originalName: fileName?.fileName,
+    size: getMediaSize(message) ?? undefined,
+    mimeType: document?.mimeType || (photo ? "image/jpeg" : undefined),
+    width: visual?.w,
+    height: visual?.h,
+    duration: timed?.duration,
+    documentId: (document || photo)?.id?.toString(),
+  };
+};
+
+/**
+ * Returns the dialog ID of a serialized peer, marked the way Telegram clients
+ * and getAllDialogs do it: channels as -100<id>, basic groups as -<id>.
+ *
+ * @param {{type: string, id: string}} peer - A peer as stored in message records.
+ * @returns {string|null} The marked dialog ID.
+ */
+const getMarkedPeerId = (peer) => {
+  if (!peer?.id) return null;
+  if (peer.type === "channel") return `-100${peer.id}`;
+  if (peer.type === "chat") return `-${peer.id}`;
+  return peer.id;
+};
+
+/**
+ * Converts a Telegram message into the record stored in the message log.
+ *
+ * @param {Object} message - The Telegram message.
+ * @param {string} outputFolder - The channel export folder, media paths are stored relative to it.
+ * @param {string} [mediaPath] - Where the message media was saved, if it was downloaded.
+ * @returns {Object} The message record, see "Message records" in the Readme.
+ */
+const toMessageRecord = (message, outputFolder, mediaPath = null) => ({
+  schemaVersion: MESSAGE_SCHEMA_VERSION,
+  id: message.id,
+  message: message.message || "",
+  date: message.date,
+  editDate: message.editDate || null,
+  out: message.out,
+  hasMedia: !!message.media,
+  sender: (message.fromId?.userId || message.peerId?.userId)?.toString(),
+  from: serializePeer(message.fromId),
+  postAuthor: message.postAuthor || null,
+  entities: serializeEntities(message.entities),
+  replyTo: serializeReplyTo(message.replyTo),
+  forward: serializeForward(message.fwdFrom),
+  groupedId: message.groupedId?.toString() || null,
+  views: message.views ?? null,
+  forwards: message.forwards ?? null,
+  reactions: serializeReactions(message.reactions),
+  buttons: serializeButtons(message.replyMarkup),
+  mediaType: message.media ? getMediaType(message) : undefined,
+  mediaPath: mediaPath || undefined,
+  mediaName: mediaPath ? path.basename(mediaPath) : undefined,
+  media: serializeMedia(message, outputFolder, mediaPath),
+});
+
+module.exports = {
+  MESSAGE_SCHEMA_VERSION,
+  toMessageRecord,
+  getMarkedPeerId,
+};
@@ -0,0 +1,317 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { wait } = require("./helper");
+
+// Uploads held back by --schedule wait in one queue for all channels, since
+// the rate of a target channel is shared by every source copied to it:
+//   {
+//     "nextJobId": 4,
+//     "schedules": { "<target>": { "perHour": 12, "from": "08:00", "to": "22:00" } },
+//     "lastPublishedAt": { "<target>": "<ISO time>" },
+//     "jobs": [{ "id": 3, "sourceChannelId": 1, "targetChannelId": 2, "messageIds": [7, 8], "queuedAt": "<ISO time>" }]
+//   }
+// A job is one post: a message or the members of an album. Jobs of a target
+// are published in the order of the list. A job being uploaded by the daemon
+// has a "publishingAt" time and can no longer be dropped.
+//
+// The daemon and the commands editing the queue run in separate processes, so
+// every change is made while holding "publish_queue.json.lock".
+
+const PUBLISH_QUEUE_FILE = "publish_queue.json";
+const HOUR = 60 * 60 * 1000;
+const LOCK_TIMEOUT = 10 * 1000; // a lock older than this was left by a killed process
+const LOCK_RETRY = 50; // ms
+
+/**
+ * Returns the path of the publishing queue.
+ * @param {string} exportFolder - The folder holding the channel archives.
+ * @returns {string} The path to the publishing queue.
+ */
+const getPublishQueuePath = (exportFolder) => path.join(exportFolder, PUBLISH_QUEUE_FILE);
+
+const readQueue = (exportFolder) => {
+  const queuePath = getPublishQueuePath(exportFolder);
+  const queue = fs.existsSync(queuePath) ? JSON.parse(fs.readFileSync(queuePath, "utf8")) : {};
+  return { nextJobId: 1, schedules: {}, lastPublishedAt: {}, jobs: [], ...queue };
+};
+
+// Write through a temporary file, so an interrupted write never loses the queue
+const writeQueue = (exportFolder, queue) => {
+  const queuePath = getPublishQueuePath(exportFolder);
+  fs.mkdirSync(exportFolder, { recursive: true });
+  fs.writeFileSync(`${queuePath}.tmp`, JSON.stringify(queue, null, 2));
+  fs.renameSync(`${queuePath}.tmp`, queuePath);
+};
+
+// The owner and age of a lock, null once it is gone
+const readLock = (lockPath) => {
+  try {
+    return { owner: fs.readFileSync(lockPath, "utf8"), lockedAt: fs.statSync(lockPath).mtimeMs };
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+};
+
+// Wait for the lock and take it, returning the token it was taken with
+const acquireLock = async (lockPath) => {
+  const token = `${process.pid}-${crypto.randomUUID()}`;
+  const started = Date.now();
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, token, { flag: "wx" });
+      return token;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+
+    const lock = readLock(lockPath);
+    if (lock && Date.now() - lock.lockedAt > LOCK_TIMEOUT) {
+      // Another process may be taking the stale lock over as well: only remove
+      // it if it is still the same lock after a retry
+      await wait(LOCK_RETRY / 1000);
+      const current = readLock(lockPath);
+      if (current && current.owner === lock.owner && current.lockedAt === lock.lockedAt) {
+        fs.rmSync(lockPath, { force: true });
+      }
+    } else if (Date.now() - started > LOCK_TIMEOUT) {
+      throw new Error(`${PUBLISH_QUEUE_FILE} stays locked, remove ${lockPath} if no other process uses the queue`);
+    } else {
+      await wait(LOCK_RETRY / 1000);
+    }
+  }
+};
+
+// Read, change and write the queue while holding its lock, so changes made by
+// other processes meanwhile are never overwritten
+const updateQueue = async (exportFolder, update) => {
+  const lockPath = `${getPublishQueuePath(exportFolder)}.lock`;
+  fs.mkdirSync(exportFolder, { recursive: true });
+  const token = await acquireLock(lockPath);
+  try {
+    const queue = readQueue(exportFolder);
+    const result = update(queue);
+    writeQueue(exportFolder, queue);
+    return result;
+  } finally {
+    // A lock taken over as stale belongs to another process now
+    if (readLock(lockPath)?.owner === token) fs.rmSync(lockPath, { force: true });
+  }
+};
+
+const TIME = String.raw`([01]?\d|2[0-3]):([0-5]\d)`;
+const SCHEDULE = new RegExp(String.raw`^(\d+)\/h(?:\s+${TIME}-${TIME})?$`);
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Parses a publishing schedule such as "12/h 08:00-22:00": at most 12 posts
+ * an hour, only between 08:00 and 22:00 local time. The hours are optional and
+ * may span midnight, e.g. "4/h 20:00-02:00".
+ * @param {string} text - The schedule.
+ * @returns {Object} `{ perHour, from, to }`, from and to being null without hours.
+ * @throws {Error} If the schedule cannot be parsed.
+ */
+const parseSchedule = (text) => {
+  const match = SCHEDULE.exec(String(text).trim());
+  if (!match || Number(match[1]) < 1) {
+    throw new Error(`Invalid schedule "${text}", use e.g. "12/h" or "12/h 08:00-22:00"`);
+  }
+
+  const [, perHour, fromHours, fromMinutes, toHours, toMinutes] = match;
+  const pad = (hours, minutes) => `${hours.padStart(2, "0")}:${minutes}`;
+  return {
+    perHour: Number(perHour),
+    from: fromHours ? pad(fromHours, fromMinutes) : null,
+    to: toHours ? pad(toHours, toMinutes) : null,
+  };
+};
+
+/**
+ * Formats a schedule the way parseSchedule reads it.
+ * @param {Object} schedule - The schedule.
+ * @returns {string} The schedule, e.g. "12/h 08:00-22:00".
+ */
+const formatSchedule = (schedule) =>
+  schedule.from ? `${schedule.perHour}/h ${schedule.from}-${schedule.to}` : `${schedule.perHour}/h`;
+
+// The first moment at or after date that lies within the hours of the schedule
+const getNextInHours = (schedule, date) => {
+  if (!schedule.from || schedule.from === schedule.to) return date;
+
+  const from = toMinutes(schedule.from);
+  const to = toMinutes(schedule.to);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const inHours = from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+  if (inHours) return date;
+
+  const start = new Date(date);
+  start.setHours(Math.floor(from / 60), from % 60, 0, 0);
+  if (start < date) start.setDate(start.getDate() + 1);
+  return start;
+};
+
+/**
+ * When the next post may go out to a target channel. Posts are spread evenly
+ * over the hour, so a schedule of 12/h publishes one post every 5 minutes.
+ * @param {Object} schedule - The schedule of the target channel.
+ * @param {string} [lastPublishedAt] - When the last post went out.
+ * @param {Date} [now] - The current time.
+ * @returns {Date} The time of the next post.
+ */
+const getNextPublishTime = (schedule, lastPublishedAt, now = new Date()) => {
+  const earliest = lastPublishedAt
+    ? new Date(Math.max(now.getTime(), new Date(lastPublishedAt).getTime() + HOUR / schedule.perHour))
+    : now;
+  return getNextInHours(schedule, earliest);
+};
+
+/**
+ * Sets how fast posts are published to a target channel.
+ * @param {string} exportFolder - The folder holding the channel archives.
+ * @param {number} targetChannelId - The target channel ID.
+ * @param {Object} schedule - The schedule from parseSchedule.
+ * @returns {Promise<void>}
+ */
+const setSchedule = (exportFolder, targetChannelId, schedule) =>
+  updateQueue(exportFolder, (queue) => {
+    queue.schedules[targetChannelId] = schedule;
+  });
+
+/**
+ * Queues a post for publishing, unless the same messages are queued for the
+ * target channel already.
+ * @param {string} exportFolder - The folder holding the channel archives.
+ * @param {number} sourceChannelId - The source channel ID.
+ * @param {number} targetChannelId - The target channel ID.
+ * @param {Array<number>} messageIds - The message, or the members of an album.
+ * @returns {Promise<Object|null>} The new job, or null if it was queued already.
+ */
+const enqueuePost = (exportFolder, sourceChannelId, targetChannelId, messageIds) =>
+  updateQueue(exportFolder, (queue) => {
+    const queued = queue.jobs.some(
+      (job) =>
+        String(job.sourceChannelId) === String(sourceChannelId) &&
+        String(job.targetChannelId) === String(targetChannelId) &&
+        job.messageIds.some((messageId) => messageIds.includes(messageId))
+    );
+    if (queued) return null;
+
+    const job = {
+      id: queue.nextJobId,
+      sourceChannelId,
+      targetChannelId,
+      messageIds,
+      queuedAt: new Date().toISOString(),
+    };
+    queue.nextJobId++;
+    queue.jobs.push(job);
+    return job;
+  });
+
+/**
+ * Reads the publishing queue.
+ * @param {string} exportFolder - The folder holding the channel archives.
+ * @returns {Object} `{ schedules, lastPublishedAt, jobs }`, jobs in publishing order.
+ */
+const getPublishQueue = (exportFolder) => {
+  const { schedules, lastPublishedAt, jobs } = readQueue(exportFolder);
+  return { schedules, lastPublishedAt, jobs };
+};
+
+/**
+ * Removes jobs from the publishing queue, except those being published.
+ * @param {string} exportFolder - The folder holding the channel archives.
+ * @param {Array<number>} jobIds - The jobs to remove.
+ * @returns {Promise<Object>} `{ dropped, publishing }`, the removed jobs and those kept as they are being published.
+ */
+const dropJobs = (exportFolder, jobIds) =>
+  updateQueue(exportFolder, (queue) => {
+    const ids = jobIds.map(Number);
+    const matching = queue.jobs.filter((job) => ids.includes(job.id));
+    const dropped = matching.filter((job) => !job.publishingAt);
+    queue.jobs = queue.jobs.filter((job) => !dropped.includes(job));
+    return { dropped, publishing: matching.filter((job) => job.publishingAt) };
+  });
+
+/**
+ * Moves a job to another place in the publishing queue.
+ * @param {string} exportFolder - The folder holding the channel archives.
+ * @param {number} jobId - The job to move.
+ * @param {number} position - Its new place, 1 being the next to publish.
+ * @returns {Promise<boolean>} Whether the job was queued.
+ */
+const moveJob = (exportFolder, jobId, position) =>
+  updateQueue(exportFolder, (queue) => {
+    const index = queue.jobs.findIndex((job) => job.id === Number(jobId));
+    if (index === -1) return false;
+
+    const [job] = queue.jobs.splice(index, 1);
+    const to = Math.min(Math.max(Number(position) - 1, 0), queue.jobs.length);
+    queue.jobs.splice(to, 0, job);
+    return true;
+  });
+
+/**
+ * Marks a job as being published, so it can no longer be dropped.
+ * @param {string} exportFolder - The folder holding the channel archives.
+ * @param {number} jobId - The job to publish.
+ * @returns {Promise<Object|null>} The job, or null if it left the queue meanwhile.
+ */
+const claimJob = (exportFolder, jobId) =>
+  updateQueue(exportFolder, (queue) => {
+    const job = queue.jobs.find((queued) => queued.id === Number(jobId));
+    if (!job) return null;
+
+    job.publishingAt = new Date().toISOString();
+    return { ...job };
+  });
+
+/**
+ * Returns claimed jobs to the queue: those of a daemon that stopped while
+ * publishing them, or one whose publishing failed.
+ * @param {string} exportFolder - The folder holding the channel archives.
+ * @param {Array<number>} [jobIds] - The jobs to release, all claimed jobs if omitted.
+ * @returns {Promise<void>}
+ */
+const releaseJobs = (exportFolder, jobIds = null) =>
+  updateQueue(exportFolder, (queue) => {
+    queue.jobs
+      .filter((job) => !jobIds || jobIds.map(Number).includes(job.id))
+      .forEach((job) => delete job.publishingAt);
+  });
+
+/**
+ * Removes a job once it was published and starts the wait for the next post
+ * to its target channel.
+ * @param {string} exportFolder - The folder holding the channel archives.
+ * @param {Object} job - The job.
+ * @param {boolean} published - Whether a post went out, which counts towards the rate.
+ * @returns {Promise<void>}
+ */
+const completeJob = (exportFolder, job, published) =>
+  updateQueue(exportFolder, (queue) => {
+    queue.jobs = queue.jobs.filter((queued) => queued.id !== job.id);
+    if (published) {
+      queue.lastPublishedAt[job.targetChannelId] = new Date().toISOString();
+    }
+  });
+
+module.exports = {
+  PUBLISH_QUEUE_FILE,
+  parseSchedule,
+  formatSchedule,
+  getNextPublishTime,
+  setSchedule,
+  enqueuePost,
+  getPublishQueue,
+  dropJobs,
+  moveJob,
+  claimJob,
+  releaseJobs,
+  completeJob,
+};
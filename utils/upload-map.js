@@ -0,0 +1,91 @@
+const fs = require("fs");
+const path = require("path");
+const { appendToJSONLinesFile, readJSONLinesFile } = require("./helper");
+
+const UPLOAD_MAP_FILE = "upload_map.jsonl";
+
+/**
+ * Returns the path of the upload map of a channel export, which records the
+ * target message every source message was copied to.
+ * @param {string} outputFolder - The source channel export folder.
+ * @returns {string} The path to the upload map.
+ */
+const getUploadMapPath = (outputFolder) => path.join(outputFolder, UPLOAD_MAP_FILE);
+
+/**
+ * Reads which source messages were copied to a target channel.
+ * @param {string} outputFolder - The source channel export folder.
+ * @param {number} targetChannelId - The target channel ID.
+ * @returns {Map<number, number>} Target message IDs by source message ID.
+ */
+const loadUploadMap = (outputFolder, targetChannelId) => {
+  const uploads = new Map();
+  readJSONLinesFile(getUploadMapPath(outputFolder))
+    .filter((entry) => String(entry.targetChannelId) === String(targetChannelId))
+    .forEach((entry) => uploads.set(entry.messageId, entry.targetMessageId));
+  return uploads;
+};
+
+/**
+ * Reads which source messages were copied to any target channel.
+ * @param {string} outputFolder - The source channel export folder.
+ * @returns {Set<number>} The IDs of the copied source messages.
+ */
+const loadUploadedMessageIds = (outputFolder) =>
+  new Set(readJSONLinesFile(getUploadMapPath(outputFolder)).map((entry) => entry.messageId));
+
+/**
+ * Appends copied messages to the upload map of a channel export.
+ * @param {string} outputFolder - The source channel export folder.
+ * @param {number} targetChannelId - The target channel ID.
+ * @param {Array<[number, number]>} uploads - Pairs of source and target message ID.
+ * @param {string} [mapPath] - The file to append to, the upload map of the export by default.
+ */
+const addUploads = (outputFolder, targetChannelId, uploads, mapPath = getUploadMapPath(outputFolder)) => {
+  if (!uploads.length) return;
+
+  fs.mkdirSync(outputFolder, { recursive: true });
+  const uploadedAt = new Date().toISOString();
+  appendToJSONLinesFile(
+    mapPath,
+    uploads.map(([messageId, targetMessageId]) => ({
+      targetChannelId,
+      messageId,
+      targetMessageId,
+      uploadedAt,
+    }))
+  );
+};
+
+/**
+ * Replaces what the upload map of a channel export records for one target
+ * channel. The map is rewritten through a temporary file, so an interrupted
+ * write never loses it.
+ * @param {string} outputFolder - The source channel export folder.
+ * @param {number} targetChannelId - The target channel ID.
+ * @param {Array<[number, number]>} uploads - Pairs of source and target message ID.
+ */
+const replaceUploads = (outputFolder, targetChannelId, uploads) => {
+  const mapPath = getUploadMapPath(outputFolder);
+  const otherTargets = readJSONLinesFile(mapPath).filter(
+    (entry) => String(entry.targetChannelId) !== String(targetChannelId)
+  );
+
+  fs.mkdirSync(outputFolder, { recursive: true });
+  fs.rmSync(`${mapPath}.tmp`, { force: true });
+  if (otherTargets.length) appendToJSONLinesFile(`${mapPath}.tmp`, otherTargets);
+  addUploads(outputFolder, targetChannelId, uploads, `${mapPath}.tmp`);
+  if (fs.existsSync(`${mapPath}.tmp`)) {
+    fs.renameSync(`${mapPath}.tmp`, mapPath);
+  } else {
+    fs.rmSync(mapPath, { force: true });
+  }
+};
+
+module.exports = {
+  UPLOAD_MAP_FILE,
+  loadUploadMap,
+  loadUploadedMessageIds,
+  addUploads,
+  replaceUploads,
+};
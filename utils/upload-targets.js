@@ -0,0 +1,53 @@
+const fs = require("fs");
+const path = require("path");
+
+// A targets file lists the channels a source is copied to, each with its own
+// settings, e.g.
+//   [
+//     { "channelId": -1001234, "filter": "type:video", "transfer": "forward" },
+//     { "channelId": -1005678, "filter": "type:text", "captionRules": "rules.json", "schedule": "12/h" }
+//   ]
+// Caption rules files are looked up next to the targets file.
+
+const TARGET_FIELDS = ["channelId", "filter", "transfer", "captionRules", "schedule"];
+
+/**
+ * Reads and checks the upload targets of a targets file.
+ * @param {string} filePath - The JSON targets file.
+ * @returns {Array<Object>} The targets as `{ channelId, filter, transfer, captionRules, schedule }`, unset fields null and caption rules paths absolute.
+ * @throws {Error} If the file is not a list of targets with a channel ID each.
+ */
+const loadTargetSpecs = (filePath) => {
+  const specs = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(specs) || !specs.length) {
+    throw new Error(`Targets in ${filePath} must be a non-empty JSON array`);
+  }
+
+  const seen = new Set();
+  return specs.map((spec, index) => {
+    if (!spec?.channelId) {
+      throw new Error(`Target ${index + 1} in ${filePath} needs a "channelId"`);
+    }
+    if (seen.has(String(spec.channelId))) {
+      throw new Error(`Target ${spec.channelId} is listed twice in ${filePath}`);
+    }
+    seen.add(String(spec.channelId));
+
+    const unknown = Object.keys(spec).filter((key) => !TARGET_FIELDS.includes(key));
+    if (unknown.length) {
+      throw new Error(`Target ${index + 1} in ${filePath} has unknown fields: ${unknown.join(", ")}`);
+    }
+
+    return {
+      channelId: Number(spec.channelId),
+      filter: spec.filter || null,
+      transfer: spec.transfer || null,
+      captionRules: spec.captionRules ? path.resolve(path.dirname(filePath), spec.captionRules) : null,
+      schedule: spec.schedule || null,
+    };
+  });
+};
+
+module.exports = {
+  loadTargetSpecs,
+};